@@ -2,25 +2,168 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
 const DEFAULT_MAX_SLOPE = Math.PI / 3.6; // Approx 50 degrees
+const DEFAULT_MAX_SEARCH_ITERATIONS = 20000; // Safety cap on expanded nodes per findPath call
+const DEFAULT_GENERATION_BUDGET_MS = 4; // Main-thread time per frame spent raycasting in generateGridAsync()
+const NEAREST_WALKABLE_SEARCH_RADIUS = 4; // Cells to search when a path endpoint is inside an obstacle
+const LINE_OF_SIGHT_HEIGHT = 0.5; // Height above the ground used for path-smoothing raycasts
+
+// Multi-level cells: every upward-facing surface under a cell with enough headroom becomes its own node
+const MIN_HEADROOM = 1.6; // Clear height needed between a surface and whatever is above it
+const MAX_STEP_HEIGHT = 0.6; // Height difference between neighbouring nodes allowed on top of maxSlopeAngle
+const SURFACE_MERGE_DISTANCE = 0.05; // Hits closer than this vertically are the same surface (shared mesh edges)
+const MAX_LEVELS_PER_CELL = 8;
+const NODE_HEIGHT_TOLERANCE = 0.5; // How far below a surface a world position may be and still be "on" it
+
+// Named terrain cost layers painted onto nodes with a value in 0..1 (see paintLayer)
+export const TERRAIN_LAYERS = {
+    WATER: 'water',
+    SLOPE: 'slope',   // Filled in automatically from the surface normal, 1 = at maxSlopeAngle
+    BUSH: 'bush',
+    BRIDGE: 'bridge',
+    ROAD: 'road'
+};
+
+// Per-agent cost weights. A fully-painted cell costs weight x the base move cost (Infinity = impassable),
+// partially painted cells blend towards 1 and multiple layers multiply together.
+export const COST_PROFILES = {
+    seeker: { water: 6, slope: 1.5, bush: 1.3, bridge: 0.8, road: 0.7 },
+    hider: { water: 4, slope: 1.2, bush: 0.9, bridge: 0.9, road: 1.1 } // Hiders favour cover over open roads
+};
+
+const MIN_SLOPE_LAYER_VALUE = 0.1; // Gentler slopes are treated as flat to keep most nodes layer-free
+
+// Baked grid file format: "HHNG" magic, version, grid dimensions, map id + collider hash, then
+// a Uint8 level count per cell followed by, per node, a walkable bitset, Float32 ground heights and
+// Int8-quantized surface normals (all little-endian). Version 1 grids had exactly one node per cell.
+const BAKED_MAGIC = 0x474e4848; // "HHNG" read as a little-endian uint32
+const BAKED_VERSION = 2;
+
+// How diagonal moves are allowed to pass the corners of blocked cells
+export const CORNER_RULES = {
+    ALWAYS: 'always',    // Diagonal moves are allowed even between two blocked cells
+    ONE_FREE: 'oneFree', // At least one of the two adjacent cardinal cells must be walkable
+    NO_CUT: 'noCut'      // Both adjacent cardinal cells must be walkable (never clips a corner)
+};
+
+// Grid-distance heuristics, dx/dy are absolute cell offsets
+const HEURISTICS = {
+    manhattan: (dx, dy) => dx + dy,
+    octile: (dx, dy) => Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy),
+    euclidean: (dx, dy) => Math.sqrt(dx * dx + dy * dy)
+};
+
+// Binary min-heap of GridNodes ordered by fCost (ties broken by hCost), used as the A* open set.
+class NodeHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node) {
+        this.items.push(node);
+        this.bubbleUp(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this.sinkDown(0);
+        }
+        return top;
+    }
+
+    // Re-sorts a node already in the heap after its fCost decreased
+    update(node) {
+        const index = this.items.indexOf(node);
+        if (index !== -1) this.bubbleUp(index);
+    }
+
+    less(a, b) {
+        return a.fCost < b.fCost || (a.fCost === b.fCost && a.hCost < b.hCost);
+    }
+
+    bubbleUp(index) {
+        const node = this.items[index];
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = this.items[parentIndex];
+            if (!this.less(node, parent)) break;
+            this.items[index] = parent;
+            index = parentIndex;
+        }
+        this.items[index] = node;
+    }
+
+    sinkDown(index) {
+        const length = this.items.length;
+        const node = this.items[index];
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            let smallestNode = node;
+            if (left < length && this.less(this.items[left], smallestNode)) {
+                smallest = left;
+                smallestNode = this.items[left];
+            }
+            if (right < length && this.less(this.items[right], smallestNode)) {
+                smallest = right;
+                smallestNode = this.items[right];
+            }
+            if (smallest === index) break;
+            this.items[index] = smallestNode;
+            index = smallest;
+        }
+        this.items[index] = node;
+    }
+}
 
 export class GridNode {
-    constructor(x, y, worldPosition, walkable = true, normal = new THREE.Vector3(0, 1, 0)) {
+    constructor(x, y, worldPosition, walkable = true, normal = new THREE.Vector3(0, 1, 0), level = 0) {
         this.x = x; // grid x index
         this.y = y; // grid y index (represents Z in world)
+        this.level = level; // Index in the cell's stack of surfaces, 0 = topmost (e.g. a bridge deck over water)
         this.worldPosition = worldPosition; // THREE.Vector3, center of the cell on the ground
         this.walkable = walkable;
         this.surfaceNormal = normal; // CANNON.Vec3, normal of the ground surface at this node
+        this.layers = null; // Terrain cost layers, { layerName: 0..1 }, null while unpainted
 
         // A* properties
         this.gCost = 0;
         this.hCost = 0;
         this.fCost = 0;
         this.parent = null;
+        this.opened = false; // In the open set of the current search
+        this.closed = false; // Already expanded by the current search
+    }
+
+    setLayer(name, value) {
+        if (value > 0) {
+            if (!this.layers) this.layers = {};
+            this.layers[name] = Math.min(1, value);
+        } else if (this.layers && name in this.layers) {
+            delete this.layers[name];
+            if (Object.keys(this.layers).length === 0) this.layers = null;
+        }
+    }
+
+    resetSearchState() {
+        this.gCost = 0;
+        this.hCost = 0;
+        this.fCost = 0;
+        this.parent = null;
+        this.opened = false;
+        this.closed = false;
     }
 }
 
 export class NavigationGrid {
-    constructor(cellSize, widthCells, depthCells, worldMinX, worldMinZ, cannonWorld, maxSlopeAngle = DEFAULT_MAX_SLOPE) {
+    constructor(cellSize, widthCells, depthCells, worldMinX, worldMinZ, cannonWorld, maxSlopeAngle = DEFAULT_MAX_SLOPE, options = {}) {
         this.cellSize = cellSize;
         this.widthCells = widthCells;
         this.depthCells = depthCells;
@@ -28,75 +171,332 @@ export class NavigationGrid {
         this.worldMinZ = worldMinZ; // World coordinate of the grid's bottom-left Z
         this.world = cannonWorld;
         this.maxSlopeAngle = maxSlopeAngle;
-        this.grid = []; // 2D array of GridNodes: grid[x][y]
+        this.grid = []; // 2D array of the topmost GridNode of each cell: grid[x][y]
+        this.cellLevels = []; // 2D array of every GridNode in a cell, top-down: cellLevels[x][y][level]
+        this.staticObstacleBodies = [];
+        this.dynamicObstacles = new Map(); // id -> { lowerBound, upperBound } world-space AABB
+
+        this.eventCallbacks = {
+            change: []
+        };
+
+        // Movement rules
+        this.allowDiagonal = options.allowDiagonal !== undefined ? options.allowDiagonal : true;
+        this.cornerRule = options.cornerRule || CORNER_RULES.NO_CUT;
+        this.setHeuristic(options.heuristic || (this.allowDiagonal ? 'octile' : 'manhattan'));
 
         console.log(`NavGrid: ${widthCells}x${depthCells} cells, cell size ${cellSize}`);
     }
 
     generateGrid(staticObstacleBodies = []) {
         console.log("NavGrid: Starting grid generation...");
-        this.grid = [];
-        const raycastHeight = 100; // Start raycasts high above
+        const cellLevels = [];
+        for (let gx = 0; gx < this.widthCells; gx++) {
+            cellLevels[gx] = this.sampleColumn(gx);
+        }
+        this.finishGeneration(cellLevels, staticObstacleBodies);
+    }
+
+    // Same as generateGrid() but spreads the ground raycasts over several frames, yielding whenever a
+    // slice has run for budgetMs. The previous grid stays in use until the new one is complete.
+    async generateGridAsync(staticObstacleBodies = [], budgetMs = DEFAULT_GENERATION_BUDGET_MS) {
+        console.log("NavGrid: Starting time-sliced grid generation...");
+        const cellLevels = [];
+        let sliceStart = performance.now();
+        for (let gx = 0; gx < this.widthCells; gx++) {
+            cellLevels[gx] = this.sampleColumn(gx);
+            if (performance.now() - sliceStart > budgetMs) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = performance.now();
+            }
+        }
+        this.finishGeneration(cellLevels, staticObstacleBodies);
+    }
+
+    sampleColumn(gx) {
+        const column = [];
+        for (let gz = 0; gz < this.depthCells; gz++) {
+            column[gz] = this.sampleCell(gx, gz);
+        }
+        return column;
+    }
 
+    createNode(gx, gz, level = 0) {
+        const worldX = this.worldMinX + gx * this.cellSize + this.cellSize / 2;
+        const worldZ = this.worldMinZ + gz * this.cellSize + this.cellSize / 2;
+        return new GridNode(gx, gz, new THREE.Vector3(worldX, 0, worldZ), false, new CANNON.Vec3(0, 1, 0), level);
+    }
+
+    // Allocates one unwalkable flat node per cell without touching the physics world; importCells() fills them in
+    createEmptyGrid() {
+        const cellLevels = [];
         for (let gx = 0; gx < this.widthCells; gx++) {
-            this.grid[gx] = [];
+            cellLevels[gx] = [];
             for (let gz = 0; gz < this.depthCells; gz++) {
-                const worldX = this.worldMinX + gx * this.cellSize + this.cellSize / 2;
-                const worldZ = this.worldMinZ + gz * this.cellSize + this.cellSize / 2;
-
-                let worldY = 0; // Default Y if no ground hit (should be marked unwalkable)
-                let walkable = false;
-                let surfaceNormal = new CANNON.Vec3(0, 1, 0);
-
-                const rayFrom = new CANNON.Vec3(worldX, raycastHeight, worldZ);
-                const rayTo = new CANNON.Vec3(worldX, -raycastHeight, worldZ); // Raycast far down
-
-                const result = new CANNON.RaycastResult();
-                const raycastOptions = { collisionFilterMask: -1, skipBackfaces: true }; // Collide with all
-
-                this.world.raycastClosest(rayFrom, rayTo, raycastOptions, result);
-
-                if (result.hasHit) {
-                    worldY = result.hitPointWorld.y;
-                    surfaceNormal.copy(result.hitNormalWorld);
-                    const slopeAngle = Math.acos(surfaceNormal.dot(new CANNON.Vec3(0, 1, 0)));
-                    if (slopeAngle <= this.maxSlopeAngle) {
-                        walkable = true;
-                    } else {
-                        // console.log(`NavGrid: Cell (${gx},${gz}) unwalkable due to slope ${slopeAngle.toFixed(2)} rad`);
-                        walkable = false;
-                    }
-                } else {
-                    // console.log(`NavGrid: Cell (${gx},${gz}) unwalkable, no ground hit.`);
-                    walkable = false; // No ground, not walkable
-                }
+                cellLevels[gx][gz] = [this.createNode(gx, gz)];
+            }
+        }
+        this.setCellLevelsGrid(cellLevels);
+    }
 
-                const worldPos = new THREE.Vector3(worldX, worldY, worldZ);
-                this.grid[gx][gz] = new GridNode(gx, gz, worldPos, walkable, surfaceNormal);
+    setCellLevelsGrid(cellLevels) {
+        this.cellLevels = cellLevels;
+        this.grid = cellLevels.map(column => column.map(levels => levels[0]));
+    }
+
+    setCellLevels(gx, gz, levels) {
+        this.cellLevels[gx][gz] = levels;
+        this.grid[gx][gz] = levels[0];
+    }
+
+    getCellLevels(gx, gz) {
+        if (gx >= 0 && gx < this.widthCells && gz >= 0 && gz < this.depthCells && this.cellLevels[gx]) {
+            return this.cellLevels[gx][gz];
+        }
+        return null;
+    }
+
+    // Calls callback(node) for every node (all levels) of the cells in range
+    forEachNode(range, callback) {
+        for (let gx = range.minX; gx <= range.maxX; gx++) {
+            for (let gz = range.minY; gz <= range.maxY; gz++) {
+                for (const node of this.cellLevels[gx][gz]) callback(node);
             }
         }
+    }
+
+    finishGeneration(cellLevels, staticObstacleBodies) {
+        this.setCellLevelsGrid(cellLevels);
+        this.staticObstacleBodies = [...staticObstacleBodies];
         console.log("NavGrid: Initial ground walkability pass complete.");
 
         // Mark cells occupied by static obstacles as unwalkable
-        for (const body of staticObstacleBodies) {
-            if (!body.shapes || body.shapes.length === 0) continue;
+        for (const body of this.staticObstacleBodies) {
+            this.blockCellsUnderBody(body, this.getFullRange());
+        }
+        for (const obstacle of this.dynamicObstacles.values()) {
+            this.blockCellsInAABB(obstacle.lowerBound, obstacle.upperBound, this.getFullRange());
+        }
+        console.log("NavGrid: Obstacle pass complete.");
+
+        this.emitChange(this.getFullRange());
+    }
+
+    // Casts one ray straight down through the cell centre and collects every upward-facing surface it
+    // crosses, top-down. Downward-facing hits (undersides of decks, floors and roofs) only limit headroom,
+    // so the ground under a bridge is kept while the ground under a solid box is dropped.
+    sampleSurfaces(worldX, worldZ) {
+        const raycastHeight = 100; // Start raycasts high above
+        const rayFrom = new CANNON.Vec3(worldX, raycastHeight, worldZ);
+        const rayTo = new CANNON.Vec3(worldX, -raycastHeight, worldZ); // Raycast far down
+        const raycastOptions = { collisionFilterMask: -1, skipBackfaces: false }; // Collide with all
+
+        const hits = [];
+        this.world.raycastAll(rayFrom, rayTo, raycastOptions, (result) => {
+            hits.push({ y: result.hitPointWorld.y, normal: result.hitNormalWorld.clone() });
+        });
+        hits.sort((a, b) => (b.y - a.y) || (a.normal.y - b.normal.y)); // Top-down, undersides first on ties
+
+        const surfaces = [];
+        let ceiling = Infinity; // Lowest underside seen so far above the current hit
+        for (const hit of hits) {
+            if (hit.normal.y <= 0) {
+                ceiling = Math.min(ceiling, hit.y);
+                continue;
+            }
+            const previous = surfaces[surfaces.length - 1];
+            if (previous && previous.y - hit.y < SURFACE_MERGE_DISTANCE) continue;
+            if (ceiling - hit.y >= MIN_HEADROOM) {
+                surfaces.push(hit);
+                if (surfaces.length === MAX_LEVELS_PER_CELL) break;
+            }
+            ceiling = hit.y; // Anything below is under this surface
+        }
+        return surfaces;
+    }
+
+    // Rebuilds the node stack of a cell from fresh raycasts. Nodes from previousLevels at (almost) the
+    // same height are reused so their painted cost layers survive a refresh.
+    sampleCell(gx, gz, previousLevels = []) {
+        const worldX = this.worldMinX + gx * this.cellSize + this.cellSize / 2;
+        const worldZ = this.worldMinZ + gz * this.cellSize + this.cellSize / 2;
+        const surfaces = this.sampleSurfaces(worldX, worldZ);
+        const available = [...previousLevels];
+
+        const levels = surfaces.map((surface, level) => {
+            let node = null;
+            let bestDelta = this.cellSize;
+            for (const candidate of available) {
+                const delta = Math.abs(candidate.worldPosition.y - surface.y);
+                if (delta < bestDelta) {
+                    node = candidate;
+                    bestDelta = delta;
+                }
+            }
+            if (node) {
+                available.splice(available.indexOf(node), 1);
+                node.level = level;
+            } else {
+                node = this.createNode(gx, gz, level);
+            }
+            this.applySurface(node, surface);
+            return node;
+        });
+
+        if (levels.length === 0) {
+            // No ground hit, keep a single unwalkable node so every cell has a top node
+            const node = previousLevels[0] || this.createNode(gx, gz);
+            node.level = 0;
+            node.worldPosition.y = 0;
+            node.surfaceNormal = new CANNON.Vec3(0, 1, 0);
+            node.walkable = false;
+            node.layers = null;
+            levels.push(node);
+        }
+        return levels;
+    }
+
+    // Records a surface's height and normal on a node and derives slope walkability and the slope layer
+    applySurface(node, surface) {
+        const surfaceNormal = new CANNON.Vec3(surface.normal.x, surface.normal.y, surface.normal.z);
+        const slopeAngle = this.getSlopeAngle(surfaceNormal);
+
+        node.worldPosition.y = surface.y;
+        node.surfaceNormal = surfaceNormal;
+        node.walkable = slopeAngle <= this.maxSlopeAngle;
+        this.applySlopeLayer(node, slopeAngle);
+    }
+
+    getSlopeAngle(surfaceNormal) {
+        return Math.acos(Math.min(1, surfaceNormal.dot(new CANNON.Vec3(0, 1, 0))));
+    }
+
+    // Slope layer from the node's surface normal: 1 at maxSlopeAngle, none on near-flat ground or on slopes
+    // too steep to walk
+    applySlopeLayer(node, slopeAngle = this.getSlopeAngle(node.surfaceNormal)) {
+        const slopeValue = slopeAngle <= this.maxSlopeAngle ? slopeAngle / this.maxSlopeAngle : 0;
+        node.setLayer(TERRAIN_LAYERS.SLOPE, slopeValue >= MIN_SLOPE_LAYER_VALUE ? slopeValue : 0);
+    }
+
+    // Paints a cost layer onto every node inside a world-space AABB. lowerBound.y/upperBound.y are optional;
+    // when given, only nodes whose ground height is in that range are painted (so water under a bridge
+    // doesn't leak onto the deck).
+    paintLayer(name, lowerBound, upperBound, value = 1) {
+        const range = this.getCellRange(lowerBound, upperBound);
+        if (!range) return;
+        const checkHeight = lowerBound.y !== undefined && upperBound.y !== undefined;
 
-            // Use AABB of the body for broad check
-            const aabb = new CANNON.AABB();
-            body.computeAABB(); // Ensure AABB is up to date
-            aabb.copy(body.aabb);
+        this.forEachNode(range, (node) => {
+            const p = node.worldPosition;
+            if (p.x < lowerBound.x || p.x > upperBound.x || p.z < lowerBound.z || p.z > upperBound.z) return;
+            if (checkHeight && (p.y < lowerBound.y || p.y > upperBound.y)) return;
+            node.setLayer(name, value);
+        });
+        this.emitChange(range);
+    }
+
+    // Paints a layer in a circle, fading linearly from value at the centre to 0 at the edge when falloff is set
+    paintLayerCircle(name, center, radius, value = 1, falloff = false) {
+        const range = this.getCellRange(
+            { x: center.x - radius, z: center.z - radius },
+            { x: center.x + radius, z: center.z + radius }
+        );
+        if (!range) return;
+
+        this.forEachNode(range, (node) => {
+            const dx = node.worldPosition.x - center.x;
+            const dz = node.worldPosition.z - center.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance > radius) return;
+            const painted = falloff ? value * (1 - distance / radius) : value;
+            node.setLayer(name, Math.max(painted, node.layers?.[name] || 0));
+        });
+        this.emitChange(range);
+    }
+
+    clearLayer(name) {
+        if (this.grid.length === 0) return;
+        this.forEachNode(this.getFullRange(), node => node.setLayer(name, 0));
+        this.emitChange(this.getFullRange());
+    }
+
+    // Paints the areas reported by Environment.getTerrainAreas():
+    // { layer, lowerBound, upperBound } boxes or { layer, center, radius } circles, with an optional value
+    applyTerrainAreas(areas) {
+        for (const area of areas) {
+            const value = area.value !== undefined ? area.value : 1;
+            if (area.radius !== undefined) {
+                this.paintLayerCircle(area.layer, area.center, area.radius, value, area.falloff);
+            } else {
+                this.paintLayer(area.layer, area.lowerBound, area.upperBound, value);
+            }
+        }
+    }
 
+    resolveCostProfile(profile) {
+        if (!profile) return null;
+        if (typeof profile === 'string') {
+            if (!COST_PROFILES[profile]) console.warn(`NavGrid: Unknown cost profile "${profile}"`);
+            return COST_PROFILES[profile] || null;
+        }
+        return profile;
+    }
+
+    // Combined cost multiplier of a node's layers under a profile (Infinity if any layer is impassable)
+    getCostMultiplier(node, profile) {
+        if (!profile || !node.layers) return 1;
+        let multiplier = 1;
+        for (const name in node.layers) {
+            const weight = profile[name];
+            if (weight === undefined) continue;
+            if (weight === Infinity) return Infinity;
+            multiplier *= 1 + (weight - 1) * node.layers[name];
+        }
+        return multiplier;
+    }
 
-            // Convert AABB to grid cell range
-            const minGx = Math.max(0, Math.floor((aabb.lowerBound.x - this.worldMinX) / this.cellSize));
-            const maxGx = Math.min(this.widthCells - 1, Math.floor((aabb.upperBound.x - this.worldMinX) / this.cellSize));
-            const minGz = Math.max(0, Math.floor((aabb.lowerBound.z - this.worldMinZ) / this.cellSize));
-            const maxGz = Math.min(this.depthCells - 1, Math.floor((aabb.upperBound.z - this.worldMinZ) / this.cellSize));
+    getFullRange() {
+        return { minX: 0, maxX: this.widthCells - 1, minY: 0, maxY: this.depthCells - 1 };
+    }
+
+    // Converts a world-space AABB to the (clamped) range of grid cells it covers
+    getCellRange(lowerBound, upperBound) {
+        const minX = Math.max(0, Math.floor((lowerBound.x - this.worldMinX) / this.cellSize));
+        const maxX = Math.min(this.widthCells - 1, Math.floor((upperBound.x - this.worldMinX) / this.cellSize));
+        const minY = Math.max(0, Math.floor((lowerBound.z - this.worldMinZ) / this.cellSize));
+        const maxY = Math.min(this.depthCells - 1, Math.floor((upperBound.z - this.worldMinZ) / this.cellSize));
+        if (minX > maxX || minY > maxY) return null; // Entirely outside the grid
+        return { minX, maxX, minY, maxY };
+    }
+
+    rangesOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
 
-            for (let gx = minGx; gx <= maxGx; gx++) {
-                for (let gz = minGz; gz <= maxGz; gz++) {
-                    const node = this.grid[gx][gz];
-                    if (!node || !node.walkable) continue;
+    blockCellsUnderBody(body, range) {
+        if (!body.shapes || body.shapes.length === 0) return;
+        // A Heightfield is ground, its cells were already handled by the slope pass
+        if (body.type !== CANNON.Body.STATIC || body.shapes[0] instanceof CANNON.Heightfield) return;
+
+        // Use AABB of the body for broad check
+        body.updateAABB(); // Ensure AABB is up to date
+        this.blockCellsInAABB(body.aabb.lowerBound, body.aabb.upperBound, range);
+    }
+
+    // Marks walkable cells inside the AABB (and inside range) as unwalkable
+    blockCellsInAABB(lowerBound, upperBound, range) {
+        const aabbRange = this.getCellRange(lowerBound, upperBound);
+        if (!aabbRange || !this.rangesOverlap(aabbRange, range)) return;
+
+        const minGx = Math.max(aabbRange.minX, range.minX);
+        const maxGx = Math.min(aabbRange.maxX, range.maxX);
+        const minGz = Math.max(aabbRange.minY, range.minY);
+        const maxGz = Math.min(aabbRange.maxY, range.maxY);
+
+        for (let gx = minGx; gx <= maxGx; gx++) {
+            for (let gz = minGz; gz <= maxGz; gz++) {
+                for (const node of this.cellLevels[gx][gz]) {
+                    if (!node.walkable) continue;
 
                     // More precise check: is node's worldPosition "inside" the body?
                     // This is complex for all shape types. A simpler check is if the node's world Y
@@ -106,28 +506,439 @@ export class NavigationGrid {
 
                     // Simplistic check: if cell center is within AABB xz and node height is within AABB y range.
                     const nodeWorldPos = node.worldPosition;
-                    if (nodeWorldPos.x >= aabb.lowerBound.x && nodeWorldPos.x <= aabb.upperBound.x &&
-                        nodeWorldPos.z >= aabb.lowerBound.z && nodeWorldPos.z <= aabb.upperBound.z &&
-                        nodeWorldPos.y >= aabb.lowerBound.y - 0.1 && nodeWorldPos.y <= aabb.upperBound.y + 0.1) { // Check if node Y is within object's Y range (+- tolerance)
-
-                        // If the body is a Heightfield, don't mark its own cells unwalkable based on this AABB check,
-                        // as slope pass already handled it.
-                        if (body.type === CANNON.Body.STATIC && !(body.shapes[0] instanceof CANNON.Heightfield)) {
-                             // console.log(`NavGrid: Cell (${gx},${gz}) unwalkable due to body ${body.id}`);
-                            node.walkable = false;
-                        }
+                    if (nodeWorldPos.x >= lowerBound.x && nodeWorldPos.x <= upperBound.x &&
+                        nodeWorldPos.z >= lowerBound.z && nodeWorldPos.z <= upperBound.z &&
+                        nodeWorldPos.y >= lowerBound.y - 0.1 && nodeWorldPos.y <= upperBound.y + 0.1) { // Check if node Y is within object's Y range (+- tolerance)
+                        // console.log(`NavGrid: Cell (${gx},${gz}) unwalkable due to obstacle`);
+                        node.walkable = false;
                     }
                 }
             }
         }
-        console.log("NavGrid: Obstacle pass complete.");
     }
 
-    getNode(x, y) {
-        if (x >= 0 && x < this.widthCells && y >= 0 && y < this.depthCells) {
-            return this.grid[x][y];
+    // Re-raycasts the cells in range and re-applies every static and dynamic obstacle that overlaps it.
+    // Much cheaper than generateGrid() when only a small part of the world changed.
+    refreshRange(range) {
+        if (!range || this.grid.length === 0) return;
+
+        for (let gx = range.minX; gx <= range.maxX; gx++) {
+            for (let gz = range.minY; gz <= range.maxY; gz++) {
+                this.setCellLevels(gx, gz, this.sampleCell(gx, gz, this.cellLevels[gx][gz]));
+            }
         }
-        return null;
+        for (const body of this.staticObstacleBodies) {
+            this.blockCellsUnderBody(body, range);
+        }
+        for (const obstacle of this.dynamicObstacles.values()) {
+            this.blockCellsInAABB(obstacle.lowerBound, obstacle.upperBound, range);
+        }
+
+        this.emitChange(range);
+    }
+
+    // Re-raycasts a world-space region, e.g. after geometry was added or removed there at runtime
+    refreshRegion(lowerBound, upperBound) {
+        this.refreshRange(this.getCellRange(lowerBound, upperBound));
+    }
+
+    // Adds static colliders loaded after generateGrid() (e.g. a second map) and rebuilds only their cells
+    addStaticObstacles(bodies) {
+        for (const body of bodies) {
+            if (this.staticObstacleBodies.includes(body)) continue;
+            this.staticObstacleBodies.push(body);
+            body.updateAABB();
+            this.refreshRegion(body.aabb.lowerBound, body.aabb.upperBound);
+        }
+    }
+
+    // Blocks an arbitrary world-space AABB (e.g. a closed door) until unmarkRegion(id) is called
+    markRegionBlocked(id, lowerBound, upperBound) {
+        const previous = this.dynamicObstacles.get(id);
+        this.dynamicObstacles.set(id, {
+            lowerBound: { x: lowerBound.x, y: lowerBound.y, z: lowerBound.z },
+            upperBound: { x: upperBound.x, y: upperBound.y, z: upperBound.z }
+        });
+        if (previous) this.refreshRegion(previous.lowerBound, previous.upperBound);
+        this.refreshRegion(lowerBound, upperBound);
+        return id;
+    }
+
+    unmarkRegion(id) {
+        const obstacle = this.dynamicObstacles.get(id);
+        if (!obstacle) return;
+        this.dynamicObstacles.delete(id);
+        this.refreshRegion(obstacle.lowerBound, obstacle.upperBound);
+    }
+
+    // Tracks a (usually non-static) body as an obstacle. Call updateDynamicObstacle() after it moves.
+    addDynamicObstacle(body) {
+        body.updateAABB();
+        this.markRegionBlocked(`body:${body.id}`, body.aabb.lowerBound, body.aabb.upperBound);
+    }
+
+    updateDynamicObstacle(body) {
+        this.addDynamicObstacle(body); // Re-marking refreshes both the old and the new footprint
+    }
+
+    removeDynamicObstacle(body) {
+        this.unmarkRegion(`body:${body.id}`);
+    }
+
+    emitChange(range) {
+        const change = {
+            ...range,
+            // World-space XZ bounds of the changed cells
+            lowerBound: { x: this.worldMinX + range.minX * this.cellSize, z: this.worldMinZ + range.minY * this.cellSize },
+            upperBound: { x: this.worldMinX + (range.maxX + 1) * this.cellSize, z: this.worldMinZ + (range.maxY + 1) * this.cellSize }
+        };
+        this.eventCallbacks.change.forEach(callback => {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error('NavGrid: Error in change callback:', error);
+            }
+        });
+    }
+
+    // FNV-1a hash over the static colliders that shape the grid (type, transform and shape parameters).
+    // Baked grids store it so a stale bake is ignored as soon as any collider moves or changes.
+    static computeColliderHash(bodies) {
+        const round = (value, step) => Math.round(value / step) * step;
+        const describeShape = (shape) => {
+            if (shape instanceof CANNON.Box) {
+                const h = shape.halfExtents;
+                return `box:${round(h.x, 0.01)},${round(h.y, 0.01)},${round(h.z, 0.01)}`;
+            }
+            if (shape instanceof CANNON.Sphere) return `sphere:${round(shape.radius, 0.01)}`;
+            if (shape instanceof CANNON.Cylinder) {
+                return `cylinder:${round(shape.radiusTop, 0.01)},${round(shape.radiusBottom, 0.01)},${round(shape.height, 0.01)}`;
+            }
+            if (shape instanceof CANNON.Heightfield) {
+                let sum = 0;
+                for (const row of shape.data) for (const value of row) sum += value;
+                return `heightfield:${shape.elementSize},${shape.data.length},${round(sum, 0.01)}`;
+            }
+            return `shape:${shape.type}`;
+        };
+
+        const descriptions = bodies.map(body => {
+            const p = body.position;
+            const q = body.quaternion;
+            return [
+                `${round(p.x, 0.01)},${round(p.y, 0.01)},${round(p.z, 0.01)}`,
+                `${round(q.x, 0.001)},${round(q.y, 0.001)},${round(q.z, 0.001)},${round(q.w, 0.001)}`,
+                ...body.shapes.map(describeShape)
+            ].join('|');
+        }).sort(); // Order-independent, so load order of the models doesn't matter
+
+        let hash = 0x811c9dc5;
+        for (const description of descriptions) {
+            for (let i = 0; i < description.length; i++) {
+                hash ^= description.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+        }
+        return hash >>> 0;
+    }
+
+    getNodeCount() {
+        let count = 0;
+        for (const column of this.cellLevels) {
+            for (const levels of column) count += levels.length;
+        }
+        return count;
+    }
+
+    // Serializes the generated grid to a compact ArrayBuffer tagged with a map id and collider hash
+    exportBaked(mapId, colliderHash) {
+        const cellCount = this.widthCells * this.depthCells;
+        const nodeCount = this.getNodeCount();
+        const mapIdBytes = new TextEncoder().encode(mapId);
+        const headerSize = 32 + mapIdBytes.length;
+        const bitsetSize = Math.ceil(nodeCount / 8);
+        const buffer = new ArrayBuffer(headerSize + cellCount + bitsetSize + nodeCount * 4 + nodeCount * 3);
+        const view = new DataView(buffer);
+
+        view.setUint32(0, BAKED_MAGIC, true);
+        view.setUint16(4, BAKED_VERSION, true);
+        view.setUint16(6, mapIdBytes.length, true);
+        view.setFloat32(8, this.cellSize, true);
+        view.setUint32(12, this.widthCells, true);
+        view.setUint32(16, this.depthCells, true);
+        view.setFloat32(20, this.worldMinX, true);
+        view.setFloat32(24, this.worldMinZ, true);
+        view.setUint32(28, colliderHash >>> 0, true);
+        new Uint8Array(buffer, 32, mapIdBytes.length).set(mapIdBytes);
+
+        const levelCountsOffset = headerSize;
+        const bitsetOffset = levelCountsOffset + cellCount;
+        const heightsOffset = bitsetOffset + bitsetSize;
+        const normalsOffset = heightsOffset + nodeCount * 4;
+        const bytes = new Uint8Array(buffer);
+
+        let cellIndex = 0;
+        let index = 0;
+        for (let gx = 0; gx < this.widthCells; gx++) {
+            for (let gz = 0; gz < this.depthCells; gz++, cellIndex++) {
+                const levels = this.cellLevels[gx][gz];
+                bytes[levelCountsOffset + cellIndex] = levels.length;
+                for (const node of levels) {
+                    if (node.walkable) bytes[bitsetOffset + (index >> 3)] |= 1 << (index & 7);
+                    view.setFloat32(heightsOffset + index * 4, node.worldPosition.y, true);
+                    const normal = node.surfaceNormal;
+                    view.setInt8(normalsOffset + index * 3, Math.round(normal.x * 127));
+                    view.setInt8(normalsOffset + index * 3 + 1, Math.round(normal.y * 127));
+                    view.setInt8(normalsOffset + index * 3 + 2, Math.round(normal.z * 127));
+                    index++;
+                }
+            }
+        }
+        return buffer;
+    }
+
+    // Restores a grid written by exportBaked(). Returns false (leaving the grid untouched) if the data is
+    // malformed, belongs to another map, doesn't match this grid's dimensions or the colliders changed.
+    importBaked(buffer, mapId, colliderHash, staticObstacleBodies = []) {
+        if (!buffer || buffer.byteLength < 32) return false;
+        const view = new DataView(buffer);
+
+        if (view.getUint32(0, true) !== BAKED_MAGIC || view.getUint16(4, true) !== BAKED_VERSION) {
+            console.warn('NavGrid: Baked grid has an unknown format or version');
+            return false;
+        }
+        const mapIdLength = view.getUint16(6, true);
+        if (buffer.byteLength < 32 + mapIdLength) {
+            console.warn('NavGrid: Baked grid is truncated');
+            return false;
+        }
+        const bakedMapId = new TextDecoder().decode(new Uint8Array(buffer, 32, mapIdLength));
+        if (bakedMapId !== mapId) {
+            console.log(`NavGrid: Baked grid is for map "${bakedMapId}", expected "${mapId}"`);
+            return false;
+        }
+        if (view.getUint32(28, true) !== (colliderHash >>> 0)) {
+            console.log('NavGrid: Baked grid is stale (collider hash changed)');
+            return false;
+        }
+        if (Math.abs(view.getFloat32(8, true) - this.cellSize) > 1e-4 ||
+            view.getUint32(12, true) !== this.widthCells ||
+            view.getUint32(16, true) !== this.depthCells ||
+            Math.abs(view.getFloat32(20, true) - this.worldMinX) > 1e-3 ||
+            Math.abs(view.getFloat32(24, true) - this.worldMinZ) > 1e-3) {
+            console.log('NavGrid: Baked grid dimensions do not match this grid');
+            return false;
+        }
+
+        const cellCount = this.widthCells * this.depthCells;
+        const levelCountsOffset = 32 + mapIdLength;
+        if (buffer.byteLength < levelCountsOffset + cellCount) {
+            console.warn('NavGrid: Baked grid is truncated');
+            return false;
+        }
+        const bytes = new Uint8Array(buffer);
+        let nodeCount = 0;
+        for (let i = 0; i < cellCount; i++) {
+            const count = bytes[levelCountsOffset + i];
+            if (count === 0) {
+                console.warn('NavGrid: Baked grid has a cell without nodes');
+                return false;
+            }
+            nodeCount += count;
+        }
+
+        const bitsetOffset = levelCountsOffset + cellCount;
+        const heightsOffset = bitsetOffset + Math.ceil(nodeCount / 8);
+        const normalsOffset = heightsOffset + nodeCount * 4;
+        if (buffer.byteLength < normalsOffset + nodeCount * 3) {
+            console.warn('NavGrid: Baked grid is truncated');
+            return false;
+        }
+
+        const cellLevels = [];
+        let cellIndex = 0;
+        let index = 0;
+        for (let gx = 0; gx < this.widthCells; gx++) {
+            cellLevels[gx] = [];
+            for (let gz = 0; gz < this.depthCells; gz++, cellIndex++) {
+                const levels = [];
+                const count = bytes[levelCountsOffset + cellIndex];
+                for (let level = 0; level < count; level++, index++) {
+                    const node = this.createNode(gx, gz, level);
+                    node.worldPosition.y = view.getFloat32(heightsOffset + index * 4, true);
+                    node.surfaceNormal = new CANNON.Vec3(
+                        view.getInt8(normalsOffset + index * 3) / 127,
+                        view.getInt8(normalsOffset + index * 3 + 1) / 127,
+                        view.getInt8(normalsOffset + index * 3 + 2) / 127
+                    );
+                    node.surfaceNormal.normalize();
+                    this.applySlopeLayer(node); // Not baked, derived from the normal as in applySurface()
+                    node.walkable = (bytes[bitsetOffset + (index >> 3)] & (1 << (index & 7))) !== 0;
+                    levels.push(node);
+                }
+                cellLevels[gx][gz] = levels;
+            }
+        }
+        this.setCellLevelsGrid(cellLevels);
+        this.staticObstacleBodies = [...staticObstacleBodies];
+
+        // Dynamic obstacles aren't baked, re-apply any that were registered before loading
+        for (const obstacle of this.dynamicObstacles.values()) {
+            this.blockCellsInAABB(obstacle.lowerBound, obstacle.upperBound, this.getFullRange());
+        }
+
+        console.log(`NavGrid: Loaded baked grid for "${mapId}"`);
+        this.emitChange(this.getFullRange());
+        return true;
+    }
+
+    // Copies the pathfinding-relevant state of a cell range (level counts, walkability, ground height and
+    // cost layers) into typed arrays, in exportBaked() order. Used to mirror the grid into the path worker.
+    exportCells(range = this.getFullRange()) {
+        const cellCount = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        const levelCounts = new Uint8Array(cellCount);
+        let nodeCount = 0;
+        let cellIndex = 0;
+        for (let gx = range.minX; gx <= range.maxX; gx++) {
+            for (let gz = range.minY; gz <= range.maxY; gz++, cellIndex++) {
+                levelCounts[cellIndex] = this.cellLevels[gx][gz].length;
+                nodeCount += levelCounts[cellIndex];
+            }
+        }
+
+        const walkable = new Uint8Array(nodeCount);
+        const heights = new Float32Array(nodeCount);
+        const layers = {}; // layerName -> Float32Array, only for layers painted somewhere in the range
+
+        let index = 0;
+        this.forEachNode(range, (node) => {
+            walkable[index] = node.walkable ? 1 : 0;
+            heights[index] = node.worldPosition.y;
+            if (node.layers) {
+                for (const name in node.layers) {
+                    if (!layers[name]) layers[name] = new Float32Array(nodeCount);
+                    layers[name][index] = node.layers[name];
+                }
+            }
+            index++;
+        });
+        return {
+            range: { minX: range.minX, maxX: range.maxX, minY: range.minY, maxY: range.maxY },
+            levelCounts,
+            walkable,
+            heights,
+            layers
+        };
+    }
+
+    // Applies data from exportCells(), allocating the grid first if it hasn't been generated here
+    importCells(data) {
+        if (this.grid.length === 0) this.createEmptyGrid();
+
+        const { range, levelCounts, walkable, heights, layers } = data;
+        const layerNames = Object.keys(layers);
+        let cellIndex = 0;
+        let index = 0;
+        for (let gx = range.minX; gx <= range.maxX; gx++) {
+            for (let gz = range.minY; gz <= range.maxY; gz++, cellIndex++) {
+                let levels = this.cellLevels[gx][gz];
+                if (levels.length !== levelCounts[cellIndex]) {
+                    levels = [];
+                    for (let level = 0; level < levelCounts[cellIndex]; level++) {
+                        levels.push(this.createNode(gx, gz, level));
+                    }
+                    this.setCellLevels(gx, gz, levels);
+                }
+                for (const node of levels) {
+                    node.walkable = walkable[index] === 1;
+                    node.worldPosition.y = heights[index];
+                    node.layers = null;
+                    for (const name of layerNames) node.setLayer(name, layers[name][index]);
+                    index++;
+                }
+            }
+        }
+        this.emitChange(range);
+    }
+
+    // Fetches a baked grid from url, falling back to generateGridAsync() if it's missing or stale.
+    // Resolves to true when the baked grid was used.
+    async loadOrGenerate(url, mapId, colliderHash, staticObstacleBodies = []) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                const buffer = await response.arrayBuffer();
+                if (this.importBaked(buffer, mapId, colliderHash, staticObstacleBodies)) {
+                    return true;
+                }
+            } else {
+                console.log(`NavGrid: No baked grid at ${url} (${response.status})`);
+            }
+        } catch (error) {
+            console.warn(`NavGrid: Failed to fetch baked grid from ${url}:`, error);
+        }
+
+        await this.generateGridAsync(staticObstacleBodies);
+        return false;
+    }
+
+    // Event subscription ('change' fires with the changed cell range whenever walkability is rebuilt)
+    addEventListener(event, callback) {
+        if (this.eventCallbacks[event]) {
+            this.eventCallbacks[event].push(callback);
+        }
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventCallbacks[event]) {
+            const index = this.eventCallbacks[event].indexOf(callback);
+            if (index > -1) {
+                this.eventCallbacks[event].splice(index, 1);
+            }
+        }
+    }
+
+    // Returns a cell's node at the given level (0 = topmost surface)
+    getNode(x, y, level = 0) {
+        const levels = this.getCellLevels(x, y);
+        return levels ? levels[level] || null : null;
+    }
+
+    // Picks the node of a cell a world height stands on: the highest surface at or just above height.
+    // Positions below every surface fall back to the lowest one; without a height the top node is used.
+    getNodeAtHeight(x, y, height) {
+        const levels = this.getCellLevels(x, y);
+        if (!levels) return null;
+        if (height === undefined || height === null) return levels[0];
+        for (const node of levels) {
+            if (node.worldPosition.y <= height + NODE_HEIGHT_TOLERANCE) return node;
+        }
+        return levels[levels.length - 1];
+    }
+
+    // Largest height difference an agent can cover moving horizontalDistance between two nodes
+    getMaxClimb(horizontalDistance) {
+        return MAX_STEP_HEIGHT + horizontalDistance * Math.tan(this.maxSlopeAngle);
+    }
+
+    // The walkable node of cell (x, y) reachable from fromNode: the one closest in height, within climbing range
+    getConnectedNode(x, y, fromNode) {
+        const levels = this.getCellLevels(x, y);
+        if (!levels) return null;
+        const isDiagonal = x !== fromNode.x && y !== fromNode.y;
+        const maxClimb = this.getMaxClimb(isDiagonal ? this.cellSize * Math.SQRT2 : this.cellSize);
+
+        let best = null;
+        let bestDelta = Infinity;
+        for (const node of levels) {
+            if (!node.walkable) continue;
+            const delta = Math.abs(node.worldPosition.y - fromNode.worldPosition.y);
+            if (delta <= maxClimb && delta < bestDelta) {
+                best = node;
+                bestDelta = delta;
+            }
+        }
+        return best;
     }
 
     worldToGridCoordinates(worldPos) {
@@ -155,37 +966,337 @@ export class NavigationGrid {
         const x = node.x;
         const y = node.y;
 
-        // Cardinal directions
-        if (x > 0) neighbors.push(this.getNode(x - 1, y));
-        if (x < this.widthCells - 1) neighbors.push(this.getNode(x + 1, y));
-        if (y > 0) neighbors.push(this.getNode(x, y - 1));
-        if (y < this.depthCells - 1) neighbors.push(this.getNode(x, y + 1));
+        // Cardinal directions, on whichever level of the neighbouring cell this node connects to
+        const left = this.getConnectedNode(x - 1, y, node);
+        const right = this.getConnectedNode(x + 1, y, node);
+        const down = this.getConnectedNode(x, y - 1, node);
+        const up = this.getConnectedNode(x, y + 1, node);
+        for (const cardinal of [left, right, down, up]) {
+            if (cardinal) neighbors.push(cardinal);
+        }
+
+        if (!this.allowDiagonal) return neighbors;
 
-        // Diagonal directions (optional, depends on desired movement)
-        // if (x > 0 && y > 0) neighbors.push(this.getNode(x - 1, y - 1));
-        // if (x < this.widthCells - 1 && y > 0) neighbors.push(this.getNode(x + 1, y - 1));
-        // if (x > 0 && y < this.depthCells - 1) neighbors.push(this.getNode(x - 1, y + 1));
-        // if (x < this.widthCells - 1 && y < this.depthCells - 1) neighbors.push(this.getNode(x + 1, y + 1));
+        // Diagonal directions, each guarded by the two cardinal cells it passes between
+        this.addDiagonalNeighbor(neighbors, this.getConnectedNode(x - 1, y - 1, node), left, down);
+        this.addDiagonalNeighbor(neighbors, this.getConnectedNode(x + 1, y - 1, node), right, down);
+        this.addDiagonalNeighbor(neighbors, this.getConnectedNode(x - 1, y + 1, node), left, up);
+        this.addDiagonalNeighbor(neighbors, this.getConnectedNode(x + 1, y + 1, node), right, up);
 
-        return neighbors.filter(neighbor => neighbor && neighbor.walkable);
+        return neighbors;
     }
 
-    // Helper to visualize the grid (for debugging)
-    visualizeGrid(scene) {
-        const materialWalkable = new THREE.MeshBasicMaterial({ color: 0x00ff00, wireframe: true, opacity: 0.2, transparent: true });
-        const materialUnwalkable = new THREE.MeshBasicMaterial({ color: 0xff0000, wireframe: true, opacity: 0.2, transparent: true });
-        const geometry = new THREE.PlaneGeometry(this.cellSize, this.cellSize);
+    addDiagonalNeighbor(neighbors, diagonal, sideA, sideB) {
+        if (!diagonal || !diagonal.walkable) return;
 
-        for (let gx = 0; gx < this.widthCells; gx++) {
-            for (let gz = 0; gz < this.depthCells; gz++) {
-                const node = this.grid[gx][gz];
-                if (node) {
-                    const plane = new THREE.Mesh(geometry, node.walkable ? materialWalkable : materialUnwalkable);
-                    plane.position.copy(node.worldPosition);
-                    plane.rotation.x = -Math.PI / 2; // Align with XZ plane
-                    scene.add(plane);
+        const freeA = sideA && sideA.walkable;
+        const freeB = sideB && sideB.walkable;
+        switch (this.cornerRule) {
+            case CORNER_RULES.ALWAYS:
+                break;
+            case CORNER_RULES.ONE_FREE:
+                if (!freeA && !freeB) return;
+                break;
+            default: // CORNER_RULES.NO_CUT
+                if (!freeA || !freeB) return;
+                break;
+        }
+        neighbors.push(diagonal);
+    }
+
+    setHeuristic(name) {
+        if (!HEURISTICS[name]) {
+            console.warn(`NavGrid: Unknown heuristic "${name}", using octile`);
+            name = 'octile';
+        }
+        this.heuristicType = name;
+        this.heuristicFn = HEURISTICS[name];
+    }
+
+    // Finds the closest walkable node to a grid cell, searching outwards ring by ring.
+    // Used when a path endpoint lands inside an obstacle (e.g. a player standing against a cabin wall).
+    // height selects the level (see getNodeAtHeight); ring cells prefer the level closest to it.
+    getNearestWalkableNode(gridX, gridY, maxRadius = NEAREST_WALKABLE_SEARCH_RADIUS, height = null) {
+        const origin = this.getNodeAtHeight(gridX, gridY, height);
+        if (origin && origin.walkable) return origin;
+        const targetHeight = origin ? origin.worldPosition.y : 0;
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistSq = Infinity;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue; // Ring only
+                    const node = this.getClosestWalkableLevel(gridX + dx, gridY + dy, targetHeight);
+                    if (!node) continue;
+                    const heightCells = (node.worldPosition.y - targetHeight) / this.cellSize;
+                    const distSq = dx * dx + dy * dy + heightCells * heightCells;
+                    if (distSq < bestDistSq) {
+                        best = node;
+                        bestDistSq = distSq;
+                    }
                 }
             }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    getClosestWalkableLevel(x, y, height) {
+        const levels = this.getCellLevels(x, y);
+        if (!levels) return null;
+        let best = null;
+        for (const node of levels) {
+            if (!node.walkable) continue;
+            if (!best || Math.abs(node.worldPosition.y - height) < Math.abs(best.worldPosition.y - height)) best = node;
+        }
+        return best;
+    }
+
+    heuristic(nodeA, nodeB) {
+        return this.heuristicFn(Math.abs(nodeA.x - nodeB.x), Math.abs(nodeA.y - nodeB.y)) * this.cellSize;
+    }
+
+    getMoveCost(fromNode, toNode, profile = null) {
+        const isDiagonal = fromNode.x !== toNode.x && fromNode.y !== toNode.y;
+        const baseCost = isDiagonal ? this.cellSize * Math.SQRT2 : this.cellSize;
+        return baseCost * this.getCostMultiplier(toNode, profile);
+    }
+
+    // Node under a world position, on the level the position's height stands on
+    getNodeAt(worldPos) {
+        const coords = this.worldToGridCoordinates(worldPos);
+        return coords ? this.getNodeAtHeight(coords.x, coords.y, worldPos.y) : null;
+    }
+
+    isWalkableAt(worldPos) {
+        const node = this.getNodeAt(worldPos);
+        return !!node && node.walkable;
+    }
+
+    // True if an agent can walk in a straight line from a to b: every cell the segment crosses must be
+    // walkable and connected to the previous one (so a line can't hop between a bridge deck and the water
+    // below), and (when a physics world is available) a raycast just above the ground must be clear.
+    // With a cost profile the line also may not cross cells costlier than its endpoints (e.g. cut across water).
+    hasLineOfSight(a, b, profile = null) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.ceil(length / (this.cellSize * 0.25));
+        const sample = new THREE.Vector3();
+        const nodeA = this.getNodeAt(a);
+        const nodeB = this.getNodeAt(b);
+        if (!nodeA || !nodeB) return false;
+        let maxMultiplier = Infinity;
+        if (profile) {
+            maxMultiplier = Math.max(this.getCostMultiplier(nodeA, profile), this.getCostMultiplier(nodeB, profile)) + 1e-3;
+        }
+
+        let previous = nodeA;
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            sample.set(a.x + dx * t, 0, a.z + dz * t);
+            const coords = this.worldToGridCoordinates(sample);
+            if (!coords) return false;
+            if (coords.x === previous.x && coords.y === previous.y) continue;
+            const node = this.getConnectedNode(coords.x, coords.y, previous);
+            if (!node) return false;
+            if (profile && this.getCostMultiplier(node, profile) > maxMultiplier) return false;
+            previous = node;
+        }
+        if (previous !== nodeB) return false; // Arrived on another level than b
+
+        if (!this.world) return true;
+
+        const rayFrom = new CANNON.Vec3(a.x, a.y + LINE_OF_SIGHT_HEIGHT, a.z);
+        const rayTo = new CANNON.Vec3(b.x, b.y + LINE_OF_SIGHT_HEIGHT, b.z);
+        const result = new CANNON.RaycastResult();
+        this.world.raycastClosest(rayFrom, rayTo, { skipBackfaces: true }, result);
+        return !result.hasHit;
+    }
+
+    // String-pulling: drops every waypoint that can be skipped by walking straight from the last kept one.
+    smoothPath(path, startWorld, profile = null) {
+        if (!path || path.length < 3) return path;
+
+        const smoothed = [];
+        let anchor = startWorld || path[0];
+        let index = startWorld ? 0 : 1;
+        if (!startWorld) smoothed.push(path[0]);
+
+        while (index < path.length - 1) {
+            // Walk forward while the next waypoint is still directly reachable from the anchor
+            let furthest = index;
+            while (furthest < path.length - 1 && this.hasLineOfSight(anchor, path[furthest + 1], profile)) {
+                furthest++;
+            }
+            smoothed.push(path[furthest]);
+            anchor = path[furthest];
+            index = furthest + 1;
         }
+        if (smoothed[smoothed.length - 1] !== path[path.length - 1]) {
+            smoothed.push(path[path.length - 1]);
+        }
+        return smoothed;
+    }
+
+    // A* search between two nodes. Returns { nodes, cost } where nodes runs from the step after startNode
+    // up to and including endNode, or null if there is no route within maxIterations.
+    // options.profile is a resolved cost profile; options.bounds (a cell range) keeps the search inside it.
+    searchNodes(startNode, endNode, options = {}) {
+        if (startNode === endNode) return { nodes: [], cost: 0 };
+
+        const maxIterations = options.maxIterations || DEFAULT_MAX_SEARCH_ITERATIONS;
+        const profile = options.profile || null;
+        const bounds = options.bounds || null;
+        // Layers cheaper than 1 (roads, bridges) would make the heuristic overestimate, so scale it down
+        const heuristicScale = profile ? Math.min(1, ...Object.values(profile)) : 1;
+
+        const openSet = new NodeHeap();
+        const touched = [startNode]; // Every node whose search state must be reset afterwards
+
+        startNode.gCost = 0;
+        startNode.hCost = this.heuristic(startNode, endNode) * heuristicScale;
+        startNode.fCost = startNode.hCost;
+        startNode.opened = true;
+        openSet.push(startNode);
+
+        let found = false;
+        let iterations = 0;
+
+        while (openSet.size > 0 && iterations < maxIterations) {
+            iterations++;
+            const current = openSet.pop();
+            current.closed = true;
+
+            if (current === endNode) {
+                found = true;
+                break;
+            }
+
+            for (const neighbor of this.getNeighbors(current)) {
+                if (neighbor.closed) continue;
+                if (bounds && (neighbor.x < bounds.minX || neighbor.x > bounds.maxX ||
+                               neighbor.y < bounds.minY || neighbor.y > bounds.maxY)) continue;
+
+                const moveCost = this.getMoveCost(current, neighbor, profile);
+                if (moveCost === Infinity) continue; // Impassable for this agent
+                const tentativeG = current.gCost + moveCost;
+                if (neighbor.opened && tentativeG >= neighbor.gCost) continue;
+
+                neighbor.parent = current;
+                neighbor.gCost = tentativeG;
+                neighbor.hCost = this.heuristic(neighbor, endNode) * heuristicScale;
+                neighbor.fCost = tentativeG + neighbor.hCost;
+
+                if (neighbor.opened) {
+                    openSet.update(neighbor);
+                } else {
+                    neighbor.opened = true;
+                    touched.push(neighbor);
+                    openSet.push(neighbor);
+                }
+            }
+        }
+
+        let result = null;
+        if (found) {
+            const nodes = [];
+            for (let node = endNode; node && node !== startNode; node = node.parent) {
+                nodes.push(node);
+            }
+            result = { nodes: nodes.reverse(), cost: endNode.gCost };
+        } else if (iterations >= maxIterations) {
+            console.warn(`NavGrid: findPath gave up after ${iterations} iterations`);
+        }
+
+        for (const node of touched) node.resetSearchState();
+        return result;
+    }
+
+    // Resolves the start and end nodes of a world-space query, snapping endpoints out of obstacles.
+    // Returns { startNode, endNode, endIsExact } or null when either end is off the grid or boxed in.
+    resolveEndpoints(startWorld, endWorld) {
+        if (this.grid.length === 0) return null;
+
+        const startCoords = this.worldToGridCoordinates(startWorld);
+        const endCoords = this.worldToGridCoordinates(endWorld);
+        if (!startCoords || !endCoords) return null;
+
+        const startNode = this.getNearestWalkableNode(startCoords.x, startCoords.y, NEAREST_WALKABLE_SEARCH_RADIUS, startWorld.y);
+        const endNode = this.getNearestWalkableNode(endCoords.x, endCoords.y, NEAREST_WALKABLE_SEARCH_RADIUS, endWorld.y);
+        if (!startNode || !endNode) return null;
+
+        // Finish exactly on the requested point, unless it was inside an obstacle and got snapped
+        const endIsExact = endNode.x === endCoords.x && endNode.y === endCoords.y;
+        return { startNode, endNode, endIsExact };
+    }
+
+    // Turns the nodes of a route into waypoints, ending exactly on endWorld when endIsExact
+    buildWaypoints(nodes, endNode, endWorld, endIsExact) {
+        if (nodes.length === 0) {
+            return [endIsExact ? new THREE.Vector3(endWorld.x, endNode.worldPosition.y, endWorld.z) : endNode.worldPosition.clone()];
+        }
+        const path = nodes.map(node => node.worldPosition.clone());
+        if (endIsExact) {
+            const last = path[path.length - 1];
+            last.x = endWorld.x;
+            last.z = endWorld.z;
+        }
+        return path;
+    }
+
+    // A* search between two world positions.
+    // Returns an array of THREE.Vector3 waypoints (cell centres on the ground, excluding the start cell),
+    // or null if no route exists or the grid hasn't been generated yet.
+    // options.smooth collapses redundant waypoints with smoothPath().
+    // options.costProfile (a COST_PROFILES name or weights object) applies the terrain cost layers.
+    // options.bounds (a cell range like getCellRange() returns) restricts the search to those cells.
+    findPath(startWorld, endWorld, options = {}) {
+        const endpoints = this.resolveEndpoints(startWorld, endWorld);
+        if (!endpoints) return null;
+        const { startNode, endNode, endIsExact } = endpoints;
+
+        const profile = this.resolveCostProfile(options.costProfile);
+        const route = this.searchNodes(startNode, endNode, {
+            profile,
+            maxIterations: options.maxIterations,
+            bounds: options.bounds
+        });
+        if (!route) return null;
+
+        let path = this.buildWaypoints(route.nodes, endNode, endWorld, endIsExact);
+        if (options.smooth) {
+            path = this.smoothPath(path, startWorld, profile);
+        }
+        return path;
+    }
+
+    // Helper to visualize the grid (for debugging). Adds one tile per node to the scene and returns the
+    // THREE.Group holding them, so it can be hidden or removed again (see AIDebugOverlay).
+    visualizeGrid(scene) {
+        const group = new THREE.Group();
+        const geometry = new THREE.PlaneGeometry(this.cellSize, this.cellSize);
+        geometry.rotateX(-Math.PI / 2); // Align with XZ plane
+
+        const walkable = [];
+        const unwalkable = [];
+        this.forEachNode(this.getFullRange(), (node) => (node.walkable ? walkable : unwalkable).push(node));
+
+        // Instanced, the grid has tens of thousands of nodes
+        for (const [nodes, color] of [[walkable, 0x00ff00], [unwalkable, 0xff0000]]) {
+            if (nodes.length === 0) continue;
+            const material = new THREE.MeshBasicMaterial({ color, wireframe: true, opacity: 0.2, transparent: true });
+            const tiles = new THREE.InstancedMesh(geometry, material, nodes.length);
+            const matrix = new THREE.Matrix4();
+            nodes.forEach((node, i) => {
+                tiles.setMatrixAt(i, matrix.makeTranslation(node.worldPosition.x, node.worldPosition.y, node.worldPosition.z));
+            });
+            tiles.frustumCulled = false;
+            group.add(tiles);
+        }
+
+        scene.add(group);
+        return group;
     }
 }
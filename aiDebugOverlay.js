@@ -0,0 +1,284 @@
+import * as THREE from 'three';
+import { NOISE_LOUDNESS, getAudibleRadius } from './noiseEvents.js';
+
+const CONE_SEGMENTS = 16;
+const RING_SEGMENTS = 48;
+const HEARD_GAITS = ['walk', 'run']; // Hearing rings drawn for these noises in open air
+const MAX_RAYS = 16; // Line-of-sight rays drawn per seeker
+const MAX_PATH_POINTS = 256;
+const MAX_HEATMAP_CELLS = 4096;
+const MIN_SHOWN_HEAT = 0.02;
+const HEATMAP_REFRESH_SECONDS = 0.5;
+const GROUND_LIFT = 0.15; // Ground-level shapes are raised this much so they don't z-fight the terrain
+const LABEL_HEIGHT = 3.4;
+
+const COLORS = {
+    cone: 0xffff00,
+    coneAlert: 0xff2222, // Cone while the seeker has someone in sight
+    hearing: 0x00ccff,
+    rayClear: 0x00ff00,
+    rayBlocked: 0xff0000,
+    path: 0xff00ff,
+    heatCold: new THREE.Color(0x0000ff),
+    heatHot: new THREE.Color(0xff0000)
+};
+
+// Runtime debug view of the AI seekers: view cone, hearing rings, the line-of-sight rays of the last
+// getVisiblePlayers() call, the current path, behaviour state and the squad's heatmap, plus the navigation
+// grid from NavigationGrid.visualizeGrid(). Rays, paths and heat only exist on the host, which runs the AI;
+// other clients see the cones, rings and states replayed from the host's snapshots.
+export class AIDebugOverlay {
+    constructor(scene, aiSquad) {
+        this.scene = scene;
+        this.aiSquad = aiSquad;
+        this.enabled = false;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.scene.add(this.group);
+        this.views = new Map(); // AISeeker -> { cone, rings, rays, path, label, ... }
+
+        this.heatmapMesh = null;
+        this.heatmapTimer = 0;
+
+        this.navGrid = null;
+        this.gridGroup = null; // Built on first show, see setGridVisible()
+        this.gridVisible = false;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        // Seekers only record their line-of-sight checks while someone is looking
+        for (const seeker of this.aiSquad.seekers) seeker.debugRays = enabled ? [] : null;
+        this.heatmapTimer = HEATMAP_REFRESH_SECONDS;
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    setNavigationGrid(navGrid) {
+        if (this.gridGroup) this.removeGrid();
+        this.navGrid = navGrid;
+        if (this.heatmapMesh) {
+            this.group.remove(this.heatmapMesh);
+            this.heatmapMesh.geometry.dispose();
+            this.heatmapMesh.material.dispose();
+            this.heatmapMesh = null;
+        }
+        if (this.gridVisible) this.setGridVisible(true);
+    }
+
+    setGridVisible(visible) {
+        this.gridVisible = visible;
+        if (visible && !this.gridGroup && this.navGrid && this.navGrid.grid.length > 0) {
+            this.gridGroup = this.navGrid.visualizeGrid(this.scene);
+        }
+        if (this.gridGroup) this.gridGroup.visible = visible;
+    }
+
+    toggleGrid() {
+        this.setGridVisible(!this.gridVisible);
+        return this.gridVisible;
+    }
+
+    removeGrid() {
+        this.scene.remove(this.gridGroup);
+        this.gridGroup.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.gridGroup = null;
+    }
+
+    update(deltaTime) {
+        if (!this.enabled) return;
+
+        const seekers = this.aiSquad.seekers;
+        for (const [seeker, view] of this.views) {
+            if (!seekers.includes(seeker)) this.removeView(seeker, view);
+        }
+        for (const seeker of seekers) {
+            if (!seeker.debugRays) seeker.debugRays = []; // Joined the squad after the overlay was enabled
+            if (!this.views.has(seeker)) this.views.set(seeker, this.createView());
+            this.updateView(seeker, this.views.get(seeker));
+        }
+
+        this.heatmapTimer += deltaTime;
+        if (this.heatmapTimer >= HEATMAP_REFRESH_SECONDS) {
+            this.heatmapTimer = 0;
+            this.updateHeatmap();
+        }
+    }
+
+    createView() {
+        const lineMaterial = (color, opacity = 1) =>
+            new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity, depthTest: false });
+
+        const cone = new THREE.LineLoop(new THREE.BufferGeometry(), lineMaterial(COLORS.cone));
+        const ringGeometry = new THREE.BufferGeometry().setFromPoints(
+            Array.from({ length: RING_SEGMENTS }, (_, i) => {
+                const angle = (i / RING_SEGMENTS) * Math.PI * 2;
+                return new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
+            }));
+        const rings = HEARD_GAITS.map((gait, i) =>
+            new THREE.LineLoop(ringGeometry, lineMaterial(COLORS.hearing, i === 0 ? 0.8 : 0.4)));
+
+        const rayGeometry = new THREE.BufferGeometry();
+        rayGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_RAYS * 6), 3));
+        rayGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_RAYS * 6), 3));
+        const rays = new THREE.LineSegments(rayGeometry,
+            new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+
+        // Fixed-size buffers rewritten in place, new geometry every frame would leak GPU buffers
+        const pathGeometry = new THREE.BufferGeometry();
+        pathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_PATH_POINTS * 3), 3));
+        const path = new THREE.Line(pathGeometry, lineMaterial(COLORS.path));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+        label.scale.set(3, 0.75, 1);
+
+        const objects = [cone, ...rings, rays, path, label];
+        for (const object of objects) {
+            object.renderOrder = 999; // Drawn over the scene, walls included
+            object.frustumCulled = false;
+            this.group.add(object);
+        }
+
+        return {
+            cone, rings, rays, path, label, canvas, objects,
+            coneShape: null, // "distance/angle" the cone geometry was built for
+            labelText: null
+        };
+    }
+
+    removeView(seeker, view) {
+        for (const object of view.objects) {
+            this.group.remove(object);
+            object.geometry.dispose();
+            if (object.material.map) object.material.map.dispose();
+            object.material.dispose();
+        }
+        seeker.debugRays = null;
+        this.views.delete(seeker);
+    }
+
+    updateView(seeker, view) {
+        const position = seeker.position;
+
+        // View cone, as tested in AISeeker.getVisiblePlayers()
+        const coneShape = `${seeker.viewDistance}/${seeker.viewAngle}`;
+        if (view.coneShape !== coneShape) {
+            view.coneShape = coneShape;
+            const points = [new THREE.Vector3()];
+            for (let i = 0; i <= CONE_SEGMENTS; i++) {
+                const angle = -seeker.viewAngle / 2 + (i / CONE_SEGMENTS) * seeker.viewAngle;
+                points.push(new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)).multiplyScalar(seeker.viewDistance));
+            }
+            view.cone.geometry.setFromPoints(points);
+        }
+        view.cone.position.copy(position);
+        view.cone.rotation.y = seeker.rotation;
+        const seesSomeone = seeker.blackboard.get('visibleTarget') || seeker.state === 'chasing';
+        view.cone.material.color.setHex(seesSomeone ? COLORS.coneAlert : COLORS.cone);
+
+        // Hearing rings: how far off a walking and a running hider is heard with nothing in the way
+        HEARD_GAITS.forEach((gait, i) => {
+            const radius = getAudibleRadius({ loudness: NOISE_LOUDNESS[gait] }, seeker.hearingDistance);
+            view.rings[i].position.set(position.x, position.y + GROUND_LIFT, position.z);
+            view.rings[i].scale.setScalar(radius);
+        });
+
+        // Line-of-sight rays: green reached the player, red stops where something was in the way
+        const rays = seeker.debugRays || [];
+        const positions = view.rays.geometry.attributes.position;
+        const colors = view.rays.geometry.attributes.color;
+        const rayCount = Math.min(rays.length, MAX_RAYS);
+        const color = new THREE.Color();
+        for (let i = 0; i < rayCount; i++) {
+            const ray = rays[i];
+            const end = ray.hit || ray.to;
+            color.setHex(ray.hit ? COLORS.rayBlocked : COLORS.rayClear);
+            positions.setXYZ(i * 2, ray.from.x, ray.from.y, ray.from.z);
+            positions.setXYZ(i * 2 + 1, end.x, end.y, end.z);
+            colors.setXYZ(i * 2, color.r, color.g, color.b);
+            colors.setXYZ(i * 2 + 1, color.r, color.g, color.b);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        view.rays.geometry.setDrawRange(0, rayCount * 2);
+
+        // Remaining path, from the seeker through the waypoints still ahead of it
+        const remaining = seeker.path ? seeker.path.slice(seeker.pathIndex, seeker.pathIndex + MAX_PATH_POINTS - 1) : [];
+        const pathPositions = view.path.geometry.attributes.position;
+        [position, ...remaining].forEach((point, i) => pathPositions.setXYZ(i, point.x, point.y + GROUND_LIFT, point.z));
+        pathPositions.needsUpdate = true;
+        view.path.geometry.setDrawRange(0, remaining.length > 0 ? remaining.length + 1 : 0);
+
+        // Behaviour state, and what the perception tick left on the blackboard
+        const target = seeker.blackboard.get('visibleTarget');
+        const heard = seeker.blackboard.get('heardTarget');
+        let text = seeker.state;
+        if (target) text += ` > ${target.id}`;
+        else if (heard) text += ` ? ${heard.type}`;
+        if (view.labelText !== text) {
+            view.labelText = text;
+            this.drawLabel(view, text);
+        }
+        view.label.position.set(position.x, position.y + LABEL_HEIGHT, position.z);
+    }
+
+    drawLabel(view, text) {
+        const context = view.canvas.getContext('2d');
+        context.clearRect(0, 0, view.canvas.width, view.canvas.height);
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, view.canvas.width, view.canvas.height);
+        context.font = '24px monospace';
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.fillText(text, view.canvas.width / 2, 40);
+        view.label.material.map.needsUpdate = true;
+    }
+
+    // Heatmap cells above MIN_SHOWN_HEAT as flat tiles, blue (barely warm) to red (hot)
+    updateHeatmap() {
+        const heatmap = this.aiSquad.heatmap;
+        if (!heatmap || !this.navGrid) {
+            if (this.heatmapMesh) this.heatmapMesh.count = 0;
+            return;
+        }
+
+        if (!this.heatmapMesh) {
+            const geometry = new THREE.PlaneGeometry(this.navGrid.cellSize, this.navGrid.cellSize);
+            geometry.rotateX(-Math.PI / 2);
+            const material = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.45, depthWrite: false });
+            this.heatmapMesh = new THREE.InstancedMesh(geometry, material, MAX_HEATMAP_CELLS);
+            this.heatmapMesh.frustumCulled = false;
+            this.group.add(this.heatmapMesh);
+        }
+
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+        const cells = new Set([...heatmap.heat.keys(), ...heatmap.prior.keys()]);
+        let count = 0;
+        for (const index of cells) {
+            if (count >= MAX_HEATMAP_CELLS) break;
+            const heat = heatmap.getHeat(index);
+            if (heat < MIN_SHOWN_HEAT) continue;
+            const coords = heatmap.getCellCoords(index);
+            const center = this.navGrid.gridToWorldCoordinates(coords.x, coords.y);
+            matrix.makeTranslation(center.x, center.y + GROUND_LIFT, center.z);
+            this.heatmapMesh.setMatrixAt(count, matrix);
+            this.heatmapMesh.setColorAt(count, color.lerpColors(COLORS.heatCold, COLORS.heatHot, Math.min(1, heat)));
+            count++;
+        }
+        this.heatmapMesh.count = count;
+        this.heatmapMesh.instanceMatrix.needsUpdate = true;
+        if (this.heatmapMesh.instanceColor) this.heatmapMesh.instanceColor.needsUpdate = true;
+    }
+}
@@ -0,0 +1,71 @@
+// Named AISeeker tunings. The host picks one in the lobby; it travels in gameState.aiDifficulty so every
+// client's seeker uses the same numbers (see GameManager.setAIDifficulty and AISeeker.setDifficulty).
+//
+// reactionTime   - ms between perception updates (how quickly the seeker notices players)
+// memoryDuration - seconds the seeker keeps searching around where it last saw or heard someone
+// searchRadius / searchSpeedMultiplier - how wide and how fast that search sweeps
+// catchRadius    - distance at which a chased player is caught
+// inspectDuration / discoveryChance - seconds spent checking a hiding spot and the base chance of finding a
+//                  hider in it (raised by the hider's fear and how long they've stayed, see AISeeker)
+// behaviourTree  - optional tree definition replacing DEFAULT_SEEKER_TREE for this difficulty
+export const AI_DIFFICULTIES = {
+    counselor: {
+        id: 'counselor',
+        label: 'Counselor',
+        speed: 4.5,
+        runSpeed: 8,
+        viewDistance: 11,
+        viewAngle: Math.PI / 4, // 45 degrees
+        hearingDistance: 5,
+        reactionTime: 1600,
+        memoryDuration: 6,
+        searchRadius: 4,
+        searchSpeedMultiplier: 0.6,
+        catchRadius: 1.2,
+        inspectDuration: 3,
+        discoveryChance: 0.25
+    },
+    nightmare: {
+        id: 'nightmare',
+        label: 'Nightmare',
+        speed: 6,
+        runSpeed: 10,
+        viewDistance: 15,
+        viewAngle: Math.PI / 3, // 60 degrees
+        hearingDistance: 8,
+        reactionTime: 1000,
+        memoryDuration: 10,
+        searchRadius: 5,
+        searchSpeedMultiplier: 0.7,
+        catchRadius: 1.5,
+        inspectDuration: 2.5,
+        discoveryChance: 0.45
+    },
+    demon: {
+        id: 'demon',
+        label: 'Demon',
+        speed: 7,
+        runSpeed: 11.5,
+        viewDistance: 22,
+        viewAngle: Math.PI / 2, // 90 degrees
+        hearingDistance: 12,
+        reactionTime: 500,
+        memoryDuration: 18,
+        searchRadius: 8,
+        searchSpeedMultiplier: 0.85,
+        catchRadius: 1.8,
+        inspectDuration: 1.5,
+        discoveryChance: 0.7
+    }
+};
+
+export const DEFAULT_AI_DIFFICULTY = 'nightmare';
+
+// Looks up a preset, falling back to the default for unknown ids (e.g. from an older client's room state)
+export function getAIDifficulty(id) {
+    if (!AI_DIFFICULTIES[id]) {
+        if (id) console.warn(`Unknown AI difficulty "${id}", using ${DEFAULT_AI_DIFFICULTY}`);
+        return AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+    }
+    return AI_DIFFICULTIES[id];
+}
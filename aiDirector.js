@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { createMessage } from './messageSchema.js';
+
+const TARGET_FEAR_START = 0.1; // How scared the hiders should be when the seeking phase starts...
+const TARGET_FEAR_END = 0.95; // ...building to this at the end
+const CLIMAX_CURVE = 2; // Exponent on round progress: a slow burn with a steep finish
+const AGGRESSION_GAIN = 0.3; // Aggression change per second for each unit the hiders' fear is off target
+const FEAR_WEIGHT = 0.6; // Intensity blends the hiders' fear...
+const PROGRESS_WEIGHT = 0.25; // ...how far the round has got...
+const CATCH_WEIGHT = 0.15; // ...and how many hiders have been caught
+const INTENSITY_FOLLOW_PER_SECOND = 0.5; // How quickly intensity moves towards its new value
+const SCARE_COOLDOWN_START = 45; // Seconds between scripted scares early in the round...
+const SCARE_COOLDOWN_END = 15; // ...and at the climax
+const SCARE_FEAR_GAP = 0.15; // Scares only play while the hiders are at least this much calmer than wanted
+export const SCARE_FEAR = 25; // Fear a scare adds to the hider it targets
+const BLACKOUT_SECONDS = 3;
+
+// Scripted scares. Targeted ones only play for the calmest hider, the rest for everybody.
+const SCARES = {
+    blackout: { targeted: false },
+    distantScream: { targeted: false },
+    footstepsBehind: { targeted: true },
+    whisper: { targeted: true }
+};
+
+// Paces a round towards a climax. The host reads the hiders' fear, the clock and the catches so far, then
+// leans on the AI squad's tension (see aiTension.js) and sends scripted scares when the hiders are calmer
+// than the pacing curve wants. Every client turns the resulting intensity into atmosphere: light flicker
+// and ambient sound in Environment.update().
+export class AIDirector {
+    constructor(room, environment, audioManager, aiSquad) {
+        this.room = room;
+        this.environment = environment;
+        this.audioManager = audioManager;
+        this.aiSquad = aiSquad;
+
+        this.intensity = 0; // 0..1, the host's value is sent to everyone with the AI snapshots
+        this.targetIntensity = 0;
+        this.aggression = 0.5;
+        this.scareTimer = 0;
+        this.scareBuffers = null; // Built on the first scare, the AudioContext needs a user gesture first
+    }
+
+    reset() {
+        this.targetIntensity = 0;
+        this.aggression = 0.5;
+        this.scareTimer = 0;
+    }
+
+    // Host only. players: GameManager.getActivePlayers()
+    update(deltaTime, players, gameState) {
+        if (!gameState || gameState.phase !== 'seeking') {
+            this.reset();
+            return;
+        }
+
+        const hiders = players.filter(player => player.role !== 'seeker');
+        const progress = gameState.maxTime ? THREE.MathUtils.clamp(1 - gameState.timer / gameState.maxTime, 0, 1) : 0;
+        const fear = hiders.length > 0
+            ? hiders.reduce((sum, player) => sum + (player.fear || 0), 0) / hiders.length / 100
+            : 0;
+        const caught = gameState.hiders.length > 0 ? 1 - gameState.survivors.length / gameState.hiders.length : 0;
+
+        // Push harder while the hiders are calmer than the curve, ease off while they're more scared
+        const wantedFear = THREE.MathUtils.lerp(TARGET_FEAR_START, TARGET_FEAR_END, Math.pow(progress, CLIMAX_CURVE));
+        const calm = wantedFear - fear;
+        this.aggression = THREE.MathUtils.clamp(this.aggression + calm * AGGRESSION_GAIN * deltaTime, 0, 1);
+        if (this.aiSquad) this.aiSquad.tension.setAggression(this.aggression);
+
+        this.targetIntensity = THREE.MathUtils.clamp(
+            fear * FEAR_WEIGHT + progress * PROGRESS_WEIGHT + caught * CATCH_WEIGHT, 0, 1);
+
+        this.scareTimer += deltaTime;
+        const cooldown = THREE.MathUtils.lerp(SCARE_COOLDOWN_START, SCARE_COOLDOWN_END, progress);
+        if (this.scareTimer >= cooldown && calm > SCARE_FEAR_GAP && hiders.length > 0) {
+            this.scareTimer = 0;
+            this.sendScare(hiders);
+        }
+    }
+
+    sendScare(hiders) {
+        const names = Object.keys(SCARES);
+        const scare = names[Math.floor(Math.random() * names.length)];
+        const calmest = hiders.reduce((a, b) => ((b.fear || 0) < (a.fear || 0) ? b : a));
+        this.room.send(createMessage('directorScare', {
+            scare,
+            targetId: SCARES[scare].targeted ? calmest.id : null
+        }));
+    }
+
+    // Every client, every frame: eases the atmosphere towards the current intensity
+    updateAtmosphere(deltaTime, gameState) {
+        const target = gameState && gameState.phase === 'seeking' ? this.targetIntensity : 0;
+        const follow = Math.min(1, INTENSITY_FOLLOW_PER_SECOND * deltaTime);
+        this.intensity += (target - this.intensity) * follow;
+        if (this.environment) this.environment.setAtmosphere(this.intensity);
+    }
+
+    getSnapshot() {
+        return Math.round(this.targetIntensity * 100) / 100;
+    }
+
+    // Non-host clients take the host's intensity from the aiState message
+    applySnapshot(intensity) {
+        if (typeof intensity === 'number') this.targetIntensity = THREE.MathUtils.clamp(intensity, 0, 1);
+    }
+
+    // Plays a 'directorScare' message. Returns true when it targeted the local player.
+    handleScare(data, localPlayerId) {
+        if (!SCARES[data.scare]) return false;
+        const targetedHere = data.targetId === localPlayerId;
+        if (SCARES[data.scare].targeted && !targetedHere) return false;
+
+        if (data.scare === 'blackout') {
+            if (this.environment) this.environment.triggerBlackout(BLACKOUT_SECONDS);
+        } else {
+            this.playScareSound(data.scare);
+        }
+        return targetedHere;
+    }
+
+    playScareSound(scare) {
+        if (!this.audioManager) return;
+        if (!this.scareBuffers) this.createScareSounds();
+        const buffer = this.scareBuffers && this.scareBuffers[scare];
+        if (buffer) this.audioManager.playSound(buffer, { volume: scare === 'distantScream' ? 0.3 : 0.6 });
+    }
+
+    createScareSounds() {
+        const audioContext = this.audioManager.getAudioContext();
+        if (!audioContext) return;
+        const rate = audioContext.sampleRate;
+        const makeBuffer = (seconds, sample) => {
+            const data = new Float32Array(Math.floor(rate * seconds));
+            for (let i = 0; i < data.length; i++) data[i] = sample(i / rate);
+            const buffer = audioContext.createBuffer(1, data.length, rate);
+            buffer.copyToChannel(data, 0);
+            return buffer;
+        };
+
+        this.scareBuffers = {
+            // Long falling wail
+            distantScream: makeBuffer(2, (t) =>
+                Math.sin(2 * Math.PI * (900 - 250 * t) * t) * Math.exp(-t * 1.2) * (0.8 + Math.random() * 0.2)),
+            // Four heavy, slow steps
+            footstepsBehind: makeBuffer(2.4, (t) => {
+                const step = t % 0.6;
+                return step < 0.12 ? Math.sin(2 * Math.PI * 70 * step) * Math.exp(-step * 30) + (Math.random() - 0.5) * 0.2 * Math.exp(-step * 40) : 0;
+            }),
+            // Breathy, wavering hiss
+            whisper: makeBuffer(1.5, (t) =>
+                (Math.random() - 0.5) * 0.5 * Math.sin(Math.PI * t / 1.5) * (0.6 + 0.4 * Math.sin(2 * Math.PI * 6 * t)))
+        };
+    }
+}
@@ -1,5 +1,29 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es'; // Import CANNON
+import { Blackboard, buildBehaviourTree } from './behaviourTree.js';
+import { SEEKER_BEHAVIOURS, DEFAULT_SEEKER_TREE } from './seekerBehaviours.js';
+import { DEFAULT_AI_DIFFICULTY, getAIDifficulty } from './aiDifficulty.js';
+import { countOccluders, getAudibleRadius } from './noiseEvents.js';
+import { createMessage } from './messageSchema.js';
+
+const WAYPOINT_REACHED_DISTANCE = 0.75; // XZ distance at which a path waypoint counts as reached
+const REPATH_GOAL_SHIFT = 1.5; // Re-plan when the goal moves further than this from the planned goal
+const REFINE_AHEAD_DISTANCE = 4; // How close to the end of a partially refined path the next stretch is planned
+const EYE_HEIGHT = 2; // position is the seeker's eye, this far above the surface it stands on
+const FEELER_HEIGHT = 1; // Obstacle feelers run this far above the surface, so they pass under bridge decks
+const SNAPSHOT_INTERPOLATION_DELAY = 150; // ms non-host clients render behind the newest host snapshot
+const MAX_BUFFERED_SNAPSHOTS = 10;
+const SNAPSHOT_STALE_AFTER = 1000; // ms without snapshots after which the next one is snapped to, not blended
+const INSPECT_DISTANCE = 3; // How close the seeker gets to a hiding spot before inspecting it
+const HIDING_SPOT_REACH = 2.5; // Hiders within this of an inspected spot can be found (Player.tryHide uses 2)
+const FEAR_DISCOVERY_BONUS = 0.5; // A terrified hider (fear 100) is up to this much more likely to be found
+const STAY_DISCOVERY_BONUS = 0.5; // ...and so is one that has stayed put for STAY_DISCOVERY_SECONDS
+const STAY_DISCOVERY_SECONDS = 60;
+const MAX_DISCOVERY_CHANCE = 0.95;
+const STALK_DISTANCE = 10; // How far behind a stalked player the seeker keeps
+const STALK_SPEED_MULTIPLIER = 0.8;
+const PLAYER_VIEW_ANGLE = Math.PI / 2; // Rough horizontal field of view of a player's camera
+const RETREAT_DISTANCE = 15; // How far a fake-out retreat backs off from where the hider was
 
 export class AISeeker {
     constructor(scene, environment, audioManager, world) { // Add world
@@ -12,35 +36,115 @@ export class AISeeker {
         this.rotation = 0;
         this.velocity = new THREE.Vector3();
         
-        this.state = 'idle'; // idle, patrolling, chasing, searching
+        // idle, patrolling, chasing, stalking, searching, hunting, inspecting, ambushing, retreating, moving
+        // (set by the behaviour tree's actions)
+        this.state = 'idle';
         this.target = null;
-        this.lastKnownPosition = null;
-        this.searchTime = 0;
         this.patrolPoints = [];
         this.currentPatrolIndex = 0;
         
+        // Tuned by setDifficulty() (see aiDifficulty.js)
+        this.difficulty = null;
         this.speed = 6;
         this.runSpeed = 10;
         this.viewDistance = 15;
         this.viewAngle = Math.PI / 3; // 60 degrees
         this.hearingDistance = 8;
+        this.memoryDuration = 10; // Seconds spent searching around a last known position
+        this.searchRadius = 5;
+        this.searchSpeedMultiplier = 0.7;
+        this.catchRadius = 1.5;
+        this.inspectDuration = 2.5; // Seconds spent checking a hiding spot
+        this.discoveryChance = 0.45; // Base chance of finding a hider in an inspected spot
         
         // this.raycaster = new THREE.Raycaster(); // Will use CANNON.World for raycasting
         this.obstacles = []; // May become obsolete or store non-physical obstacles
         
-        // AI decision making
+        // AI decision making: perception refreshes the blackboard every decisionInterval, the behaviour
+        // tree reads it every frame (see seekerBehaviours.js)
         this.lastDecisionTime = 0;
-        this.decisionInterval = 1000; // Make decisions every second
+        this.decisionInterval = 1000; // Look and listen every second
+        this.blackboard = new Blackboard();
+        this.brain = null;
+        this.behaviourTreeDefinition = null;
 
         // Stuck detection
         this.stuckCheckTimer = 0;
         this.stuckCheckInterval = 2; // Seconds
         this.lastPositionForStuckCheck = new THREE.Vector3();
         this.stuckCounter = 0;
+
+        // Pathfinding (NavigationGrid is generated after the environment loads, see setNavigationGrid)
+        this.navGrid = null;
+        this.pathfinder = null; // PathfindingClient, when set paths are planned asynchronously off the main thread
+        this.pendingPathRequest = null;
+        this.pendingPathChanges = []; // Grid changes seen while pendingPathRequest was being searched
+        this.path = null; // Array of THREE.Vector3 waypoints
+        this.pathIndex = 0;
+        this.pathGoal = null; // Goal the current path was planned towards
+        this.repathTimer = 0;
+        this.repathInterval = 0.5; // Seconds between re-plans while chasing a moving target
+        this.costProfile = 'seeker'; // NavigationGrid COST_PROFILES entry used for path planning
+        this.searchStep = 0; // Index of the current search point around lastKnownPosition
+        this.searchPoint = null; // Where the seeker is currently searching (THREE.Vector3)
+        this.searchCenter = null; // lastKnownPosition searchPoint was picked around
+        this.heatmap = null; // HiderHeatmap of where hiders probably are (see hiderHeatmap.js), shared by the squad
+        this.nextHeatmapPick = 0; // Date.now() before which a cold heatmap isn't scanned again
+        this.knownPlayers = []; // Players passed to the last update(), for hiding spot inspections
+        this.nextAmbushAt = 0; // Date.now() before which the seeker won't set up another ambush
+        this.squad = null; // AISquad this seeker coordinates with, if any
+        this.noiseEvents = null; // NoiseEventStream the seeker listens to (see noiseEvents.js)
+        this.lastHeardSequence = 0; // Noise stream events up to this one have already been listened for
+        this.debugRays = null; // Set to an array by AIDebugOverlay, getVisiblePlayers() then records its raycasts
+        this.onNavGridChange = (change) => this.handleNavigationChange(change);
+
+        // Network sync: only the host runs update(), everyone else replays its snapshots with updateRemote()
+        this.snapshots = []; // [{ receivedAt, position, rotation, state, targetId }], oldest first
+        this.remoteTargetId = null;
         
         // Visual representation
         this.createVisual();
         this.setupPatrolPoints();
+        this.setDifficulty(DEFAULT_AI_DIFFICULTY);
+    }
+
+    // Applies a named preset from aiDifficulty.js. Every client calls this with the host's choice from
+    // gameState.aiDifficulty so all seekers perceive, react and catch the same way.
+    setDifficulty(id) {
+        const preset = getAIDifficulty(id);
+        if (this.difficulty === preset.id) return;
+        this.difficulty = preset.id;
+
+        this.speed = preset.speed;
+        this.runSpeed = preset.runSpeed;
+        this.viewDistance = preset.viewDistance;
+        this.viewAngle = preset.viewAngle;
+        this.hearingDistance = preset.hearingDistance;
+        this.decisionInterval = preset.reactionTime;
+        this.memoryDuration = preset.memoryDuration;
+        this.searchRadius = preset.searchRadius;
+        this.searchSpeedMultiplier = preset.searchSpeedMultiplier;
+        this.catchRadius = preset.catchRadius;
+        this.inspectDuration = preset.inspectDuration;
+        this.discoveryChance = preset.discoveryChance;
+        this.setBehaviourTree(preset.behaviourTree || DEFAULT_SEEKER_TREE);
+    }
+
+    // Swaps the decision layer for a tree definition (see behaviourTree.js), e.g. one tuned for a map
+    setBehaviourTree(definition) {
+        this.brain = buildBehaviourTree(definition, SEEKER_BEHAVIOURS);
+        this.behaviourTreeDefinition = definition;
+        this.resetBrain();
+    }
+
+    // Forgets everything the seeker has perceived and interrupts whatever it was doing
+    resetBrain() {
+        if (this.brain) this.brain.halt();
+        this.blackboard.clear();
+        this.target = null;
+        this.searchPoint = null;
+        this.searchCenter = null;
+        this.clearPath();
     }
     
     createVisual() {
@@ -93,6 +197,8 @@ export class AISeeker {
         this.breathBuffer = null;
         this.stepBuffer = null;
         this.catchBuffer = null;
+        this.sniffBuffer = null;
+        this.lastAudioState = null;
         this.loadSounds(); // Method to load sounds
     }
 
@@ -136,10 +242,21 @@ export class AISeeker {
         }
         this.catchBuffer = audioContext.createBuffer(1, bufferData.length, audioContext.sampleRate);
         this.catchBuffer.copyToChannel(bufferData, 0);
+
+        // Create Sniffing Sound Buffer (three short noisy inhales)
+        bufferData = new Float32Array(audioContext.sampleRate * 1.0);
+        for (let i = 0; i < bufferData.length; i++) {
+            const t = i / audioContext.sampleRate;
+            const sniff = (t % 0.3) / 0.3; // 0..1 within each sniff
+            const envelope = sniff < 0.5 ? Math.sin(sniff * Math.PI * 2) : 0;
+            bufferData[i] = (Math.random() - 0.5) * 0.6 * envelope;
+        }
+        this.sniffBuffer = audioContext.createBuffer(1, bufferData.length, audioContext.sampleRate);
+        this.sniffBuffer.copyToChannel(bufferData, 0);
     }
     
     setupPatrolPoints() {
-        // Set up patrol points around the camp
+        // Fallback route around the camp until the map's route arrives (see setPatrolPoints)
         this.patrolPoints = [
             new THREE.Vector3(10, 2, 10),
             new THREE.Vector3(-10, 2, 10),
@@ -152,36 +269,34 @@ export class AISeeker {
         ];
     }
     
+    // Swaps in a patrol route (see patrolRoutes.js), picking it up at startIndex
+    setPatrolPoints(points, startIndex = 0) {
+        if (!points || points.length === 0) return;
+        this.patrolPoints = points.map(point => point.clone());
+        this.currentPatrolIndex = startIndex % this.patrolPoints.length;
+        this.clearPath();
+    }
+    
     update(deltaTime, players, gameState) {
         // General Review: Add a check for gameState
         if (!gameState || gameState.phase !== 'seeking') {
+            if (this.state !== 'idle') this.resetBrain();
             this.state = 'idle';
             return;
         }
         
         try {
-            // Update AI decision making
+            this.knownPlayers = players;
+            
+            // Refresh what the AI sees and hears
             const now = Date.now();
             if (now - this.lastDecisionTime > this.decisionInterval) {
-                this.makeDecision(players);
+                this.updatePerception(players);
                 this.lastDecisionTime = now;
             }
             
-            // Update behavior based on state
-            switch (this.state) {
-                case 'patrolling':
-                    this.patrol(deltaTime);
-                    break;
-                case 'chasing':
-                    this.chase(deltaTime, this.target);
-                    break;
-                case 'searching':
-                    this.search(deltaTime);
-                    break;
-                default:
-                    this.idle(deltaTime);
-                    break;
-            }
+            // Let the behaviour tree pick and run this frame's behaviour
+            this.brain.tick(this, this.blackboard, deltaTime);
             
             // Update visual position
             this.updateVisual();
@@ -194,7 +309,11 @@ export class AISeeker {
             if (this.stuckCheckTimer >= this.stuckCheckInterval) {
                 if (this.position.distanceToSquared(this.lastPositionForStuckCheck) < 0.1) { // Moved less than ~0.3 units (sqrt(0.1))
                     this.stuckCounter++;
-                    if (this.stuckCounter >= 2) { // Stuck for two intervals
+                    if (this.stuckCounter >= 2 && this.navGrid) { // Stuck for two intervals
+                        // The path is probably stale (e.g. goal snapped into an obstacle) - plan a fresh one
+                        this.clearPath();
+                        this.stuckCounter = 0;
+                    } else if (this.stuckCounter >= 2) { // No grid yet, fall back to a random turn
                         console.log("AI Seeker might be stuck, attempting recovery.");
                         // Example: Turn to a random direction
                         const randomAngle = (Math.random() - 0.5) * Math.PI; // Random angle between -90 and +90 deg
@@ -219,40 +338,117 @@ export class AISeeker {
         }
     }
     
-    makeDecision(players) {
-        // Reset target
-        this.target = null;
-        
-        // Look for visible players
+    // Compact state the host broadcasts to the other clients (see GameManager.broadcastAIState)
+    getSnapshot() {
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            p: [round(this.position.x), round(this.position.y), round(this.position.z)],
+            r: round(this.rotation),
+            s: this.state,
+            t: this.target && this.target.id ? this.target.id : null
+        };
+    }
+
+    applySnapshot(snapshot, receivedAt = Date.now()) {
+        if (!snapshot || !Array.isArray(snapshot.p)) return;
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && receivedAt - newest.receivedAt > SNAPSHOT_STALE_AFTER) {
+            this.snapshots = []; // e.g. a new round started, don't glide over from where the last one ended
+        }
+        this.snapshots.push({
+            receivedAt,
+            position: new THREE.Vector3(snapshot.p[0], snapshot.p[1], snapshot.p[2]),
+            rotation: snapshot.r,
+            state: snapshot.s,
+            targetId: snapshot.t
+        });
+        if (this.snapshots.length > MAX_BUFFERED_SNAPSHOTS) this.snapshots.shift();
+    }
+
+    // Non-host update: interpolates between the two snapshots around (now - SNAPSHOT_INTERPOLATION_DELAY)
+    // instead of simulating, so every client shows the seeker where the host has it
+    updateRemote(deltaTime) {
+        if (this.snapshots.length === 0) return;
+
+        const renderTime = Date.now() - SNAPSHOT_INTERPOLATION_DELAY;
+        while (this.snapshots.length > 2 && this.snapshots[1].receivedAt <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const from = this.snapshots[0];
+        const to = this.snapshots[1] || from;
+        const span = to.receivedAt - from.receivedAt;
+        const t = span > 0 ? THREE.MathUtils.clamp((renderTime - from.receivedAt) / span, 0, 1) : 1;
+
+        const previousPosition = this.position.clone();
+        this.position.lerpVectors(from.position, to.position, t);
+        // Shortest way round, so the seeker doesn't spin when rotation wraps past +-PI
+        const turn = Math.atan2(Math.sin(to.rotation - from.rotation), Math.cos(to.rotation - from.rotation));
+        this.rotation = from.rotation + turn * t;
+        this.state = to.state;
+        this.remoteTargetId = to.targetId;
+
+        if (deltaTime > 0) {
+            this.velocity.subVectors(this.position, previousPosition).divideScalar(deltaTime);
+        }
+        this.updateVisual();
+        this.updateAudio(deltaTime);
+    }
+
+    // Called when this client becomes host: continue from the last replicated state rather than from
+    // wherever the local simulation was, remembering the chased player so the hunt carries on
+    takeOverSimulation(players = []) {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        this.resetBrain();
+        if (latest) {
+            this.position.copy(latest.position);
+            this.rotation = latest.rotation;
+            this.state = latest.state;
+            const target = players.find(player => player.id === latest.targetId);
+            if (target && target.position) {
+                this.blackboard.set('lastKnownPosition', target.position.clone());
+            }
+        }
+        this.snapshots = [];
+        this.remoteTargetId = null;
+        this.velocity.set(0, 0, 0);
+        this.lastDecisionTime = 0; // Look around straight away
+        if (this.noiseEvents) this.lastHeardSequence = this.noiseEvents.lastSequence;
+        this.updateVisual();
+    }
+    
+    updatePerception(players) {
         const visiblePlayers = this.getVisiblePlayers(players);
-        const audiblePlayers = this.getAudiblePlayers(players);
-        
+
+        let visibleTarget = null;
         if (visiblePlayers.length > 0) {
-            // Chase the closest visible player
-            this.target = this.getClosestPlayer(visiblePlayers);
-            this.state = 'chasing';
-            this.lastKnownPosition = this.target.position.clone();
-        } else if (audiblePlayers.length > 0) {
-            // Search near the closest audible player
-            this.target = this.getClosestPlayer(audiblePlayers);
-            this.lastKnownPosition = this.target.position.clone();
-            this.state = 'searching';
-            this.searchTime = 0;
-        } else if (this.lastKnownPosition && this.state === 'searching') {
-            // Continue searching for a bit
-            this.searchTime += this.decisionInterval / 1000;
-            if (this.searchTime > 10) { // Search for 10 seconds
-                this.state = 'patrolling';
-                this.lastKnownPosition = null;
+            // In a squad, leave targets another seeker is already chasing to them
+            visibleTarget = this.squad ? this.squad.pickTarget(this, visiblePlayers) : this.getClosestPlayer(visiblePlayers);
+        }
+        const heardNoise = this.getHeardNoise(players);
+        const heardTarget = !visibleTarget ? heardNoise : null;
+        this.blackboard.set('visibleTarget', visibleTarget);
+        // Hearing only matters while nobody is in sight
+        this.blackboard.set('heardTarget', heardTarget);
+
+        if (this.squad) {
+            for (const player of visiblePlayers) {
+                this.squad.reportSighting(player, player === visibleTarget ? this : null);
             }
-        } else {
-            // Default to patrolling
-            this.state = 'patrolling';
+            if (heardTarget) this.squad.reportSighting(heardTarget, this);
+        }
+
+        // Everywhere in view without a hider cools down; the hiders seen and the noise heard heat up
+        if (this.heatmap) {
+            this.heatmap.clearVisible(this);
+            for (const player of visiblePlayers) this.heatmap.addSighting(player.position);
+            if (heardNoise) this.heatmap.addNoise(heardNoise.position, heardNoise.intensity);
         }
     }
     
     getVisiblePlayers(players) {
         const visible = [];
+        if (this.debugRays) this.debugRays.length = 0;
         
         for (const player of players) {
             // Ensure player object and its properties are valid
@@ -292,9 +488,16 @@ export class AISeeker {
 
             // If ray hits something, check if it's closer than the player
             // A more robust check would be to see if result.body is the player's physics body.
-            if (result.hasHit && result.distance < distance - 0.1) { // -0.1 to avoid self-intersection issues if ray starts inside player
-                // Occluded by an environment object
-            } else {
+            // -0.1 to avoid self-intersection issues if ray starts inside player
+            const occluded = result.hasHit && result.distance < distance - 0.1; // Occluded by an environment object
+            if (this.debugRays) {
+                this.debugRays.push({
+                    from: this.position.clone(),
+                    to: new THREE.Vector3().copy(playerPosition),
+                    hit: occluded ? new THREE.Vector3().copy(result.hitPointWorld) : null
+                });
+            }
+            if (!occluded) {
                 visible.push(player); // No hit, or hit is beyond/at the player
             }
         }
@@ -302,36 +505,34 @@ export class AISeeker {
         return visible;
     }
     
-    getAudiblePlayers(players) {
-        const audible = [];
-        
-        for (const player of players) {
-            // Ensure player object and its properties are valid
-            if (!player ||
-                typeof player.isAlive !== 'boolean' ||
-                !player.position) {
-                // console.warn('AISeeker.getAudiblePlayers: Invalid player object or missing properties', player);
-                continue;
-            }
-            if (!player.isAlive) continue;
-            
-            const distance = this.position.distanceTo(player.position);
-            
-            // Players make noise when running or moving quickly
-            let noiseLevel = 0;
-            // Check if player.isRunning and player.velocity exist and are of expected types
-            if (typeof player.isRunning === 'boolean' && player.isRunning) {
-                noiseLevel = 1;
-            } else if (player.velocity && typeof player.velocity.length === 'function' && player.velocity.length() > 0.1) {
-                noiseLevel = 0.5;
-            }
-            
-            if (distance < this.hearingDistance * noiseLevel) {
-                audible.push(player);
+    // Loudest noise made since the last perception tick that reaches the seeker through distance falloff and
+    // walls, as { id, position, type, intensity } (id is the player who made it), or null. Movement noises
+    // from anyone not in players (human seekers, caught players) are ignored; screams are worth checking
+    // whoever made them.
+    getHeardNoise(players) {
+        if (!this.noiseEvents) return null;
+        const after = this.lastHeardSequence;
+        this.lastHeardSequence = this.noiseEvents.lastSequence;
+
+        const listenerPosition = this.position.clone();
+        listenerPosition.y += 1.8; // Head height, matching the visual's eyes
+        let loudest = null;
+
+        for (const noise of this.noiseEvents.getEventsAfter(after)) {
+            if (noise.type !== 'scream' && !players.some(player => player.id === noise.sourceId)) continue;
+
+            const distance = listenerPosition.distanceTo(noise.position);
+            if (distance > getAudibleRadius(noise, this.hearingDistance)) continue; // Too far even through open air
+
+            const radius = getAudibleRadius(noise, this.hearingDistance, countOccluders(this.world, listenerPosition, noise.position));
+            if (distance > radius) continue;
+
+            const intensity = 1 - distance / radius;
+            if (!loudest || intensity > loudest.intensity) {
+                loudest = { id: noise.sourceId, position: noise.position.clone(), type: noise.type, intensity };
             }
         }
-        
-        return audible;
+        return loudest;
     }
     
     getClosestPlayer(players) {
@@ -349,71 +550,227 @@ export class AISeeker {
         return closest;
     }
     
-    patrol(deltaTime) {
+    patrol(deltaTime, speedMultiplier = 1) {
         if (this.patrolPoints.length === 0) return;
         
         const targetPoint = this.patrolPoints[this.currentPatrolIndex];
-        const direction = targetPoint.clone().sub(this.position);
-        const distance = direction.length();
         
-        if (distance < 2) {
+        if (this.horizontalDistanceTo(targetPoint) < 2) {
             // Reached patrol point, move to next
             this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolPoints.length;
+            this.clearPath();
         } else {
             // Move towards patrol point
-            direction.normalize();
-            this.moveTowards(direction, this.speed, deltaTime);
+            this.followPathTo(targetPoint, this.speed * speedMultiplier, deltaTime);
         }
     }
     
     chase(deltaTime, target) {
-        if (!target) {
-            this.state = 'patrolling';
-            return;
-        }
-        
         // General Review: Ensure target.position exists
-        if (!target.position) {
+        if (!target || !target.position) {
             // console.warn('AISeeker.chase: Target has no position', target);
-            this.state = 'patrolling'; // Or some other fallback
             return;
         }
 
-        const direction = target.position.clone().sub(this.position);
-        const distance = direction.length();
+        const distance = this.position.distanceTo(target.position);
         
-        if (distance < 1.5) {
+        if (distance < this.catchRadius) {
             // Caught the player!
             this.catchPlayer(target);
         } else {
-            direction.normalize();
-            this.moveTowards(direction, this.runSpeed, deltaTime);
-            // Ensure target.position still exists before cloning for lastKnownPosition
-            if (target.position) {
-                this.lastKnownPosition = target.position.clone();
-            }
+            this.followPathTo(target.position, this.runSpeed, deltaTime);
         }
     }
     
-    search(deltaTime) {
-        if (!this.lastKnownPosition) {
-            this.state = 'patrolling';
+    // Follows target from STALK_DISTANCE behind, slipping back out of its view cone whenever it looks round.
+    // Never closes in to catch; the behaviour tree switches to chasing once the tension is high enough.
+    stalk(deltaTime, target, distance = STALK_DISTANCE) {
+        if (!target || !target.position) return;
+        const yaw = target.rotation || 0;
+        const facing = new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw));
+        const behind = target.position.clone().addScaledVector(facing, -distance);
+        const toSeeker = this.position.clone().sub(target.position).setY(0);
+        const inView = toSeeker.lengthSq() > 0 && facing.angleTo(toSeeker) < PLAYER_VIEW_ANGLE / 2;
+
+        if (!inView && this.horizontalDistanceTo(behind) < 1.5) {
+            // In position: hold still and watch
+            this.clearPath();
+            this.velocity.set(0, 0, 0);
+            this.rotation = Math.atan2(target.position.x - this.position.x, target.position.z - this.position.z);
             return;
         }
+        this.followPathTo(behind, inView ? this.runSpeed : this.speed * STALK_SPEED_MULTIPLIER, deltaTime);
+    }
+
+    // Point RETREAT_DISTANCE further away from `from`, for a fake-out retreat
+    getRetreatPoint(from, distance = RETREAT_DISTANCE) {
+        const away = this.position.clone().sub(from).setY(0);
+        if (away.lengthSq() < 0.01) away.set(Math.sin(this.rotation), 0, Math.cos(this.rotation)).negate();
+        return this.position.clone().addScaledVector(away.normalize(), distance);
+    }
+
+    // Chokepoint to lie in wait at: near the heatmap's leads, not one a squadmate is already covering
+    pickChokepoint() {
+        if (!this.environment || !this.environment.getChokepoints) return null;
+        const avoid = this.squad ? this.squad.getSearchPoints(this) : [];
+        let best = null;
+        let bestScore = 0;
+        for (const point of this.environment.getChokepoints()) {
+            if (avoid.some(other => other.distanceTo(point) < INSPECT_DISTANCE)) continue;
+            const heat = this.heatmap ? this.heatmap.getHeatAt(point) : 0;
+            const score = (0.1 + heat) / (1 + this.horizontalDistanceTo(point) / 30) * (0.5 + Math.random());
+            if (score > bestScore) {
+                bestScore = score;
+                best = point;
+            }
+        }
+        return best;
+    }
+
+    // Visits search points around center one path at a time. With a heatmap the points are its hottest
+    // cells near center; without one they go round a circle (sector: optional { start, span } slice of it
+    // in radians when several seekers share the search).
+    search(deltaTime, center, searchRadius = this.searchRadius, speedMultiplier = this.searchSpeedMultiplier, sector = null) {
+        if (!center) return;
         
-        // Move in a search pattern around the last known position
-        const searchRadius = 5;
-        const searchSpeed = this.speed * 0.7;
+        if (!this.searchCenter || this.searchCenter.distanceTo(center) > 0.5) {
+            this.searchCenter = center.clone();
+            this.searchPoint = null;
+        }
+        if (this.searchPoint && this.horizontalDistanceTo(this.searchPoint) < 1.5) {
+            if (this.heatmap) this.heatmap.markChecked(this.searchPoint);
+            this.searchStep++;
+            this.searchPoint = null;
+            this.clearPath();
+        }
+        if (!this.searchPoint) {
+            this.searchPoint = this.pickSearchPoint(center, searchRadius, sector);
+        }
         
-        // Simple circular search pattern
-        const time = Date.now() * 0.001;
-        const searchTarget = this.lastKnownPosition.clone();
-        searchTarget.x += Math.cos(time) * searchRadius;
-        searchTarget.z += Math.sin(time) * searchRadius;
+        this.followPathTo(this.searchPoint, this.speed * speedMultiplier, deltaTime);
+    }
+
+    pickSearchPoint(center, searchRadius, sector) {
+        if (this.heatmap) {
+            const destination = this.heatmap.pickDestination(this.position, {
+                center,
+                radius: searchRadius * 2,
+                avoid: this.squad ? this.squad.getSearchPoints(this) : []
+            });
+            if (destination) return destination.position;
+        }
         
-        const direction = searchTarget.clone().sub(this.position);
-        direction.normalize();
-        this.moveTowards(direction, searchSpeed, deltaTime);
+        // Six points round the whole circle, or three back and forth across this seeker's sector
+        const searchAngle = sector
+            ? sector.start + ((this.searchStep % 3) + 0.5) * sector.span / 3
+            : this.searchStep * Math.PI / 3;
+        const point = center.clone();
+        point.x += Math.cos(searchAngle) * searchRadius;
+        point.z += Math.sin(searchAngle) * searchRadius;
+        return point;
+    }
+
+    // Hunts the hottest lead on the heatmap when there's nothing more specific to go on. Returns false
+    // when the map has no lead worth following.
+    huntHeatmap(deltaTime, minHeat, speedMultiplier = 1) {
+        if (!this.heatmap) return false;
+        if (this.searchPoint && this.horizontalDistanceTo(this.searchPoint) < 1.5) {
+            this.heatmap.markChecked(this.searchPoint);
+            this.searchPoint = null;
+            this.clearPath();
+        }
+        if (!this.searchPoint) {
+            const now = Date.now();
+            if (now < (this.nextHeatmapPick || 0)) return false;
+            const destination = this.heatmap.pickDestination(this.position, {
+                minHeat,
+                avoid: this.squad ? this.squad.getSearchPoints(this) : []
+            });
+            if (!destination) {
+                this.nextHeatmapPick = now + 500; // Don't rescan the map every frame while it's cold
+                return false;
+            }
+            this.searchPoint = destination.position;
+            this.searchCenter = null;
+        }
+        this.followPathTo(this.searchPoint, this.speed * speedMultiplier, deltaTime);
+        return true;
+    }
+    
+    // Most promising hiding spot to inspect: unchecked (or suspicious again) on the heatmap and not one a
+    // squadmate is already heading to. options: center + radius to stay near a point, minHeat.
+    pickHidingSpot(options = {}) {
+        if (!this.heatmap || !this.environment) return null;
+        const avoid = this.squad ? this.squad.getSearchPoints(this) : [];
+        let best = null;
+        let bestScore = 0;
+        for (const spot of this.environment.getHidingSpots()) {
+            if (options.center && spot.distanceTo(options.center) > options.radius) continue;
+            if (avoid.some(point => point.distanceTo(spot) < INSPECT_DISTANCE)) continue;
+            const heat = this.heatmap.getHeatAt(spot);
+            if (heat < (options.minHeat ?? 0.1)) continue;
+            const score = heat / (1 + this.horizontalDistanceTo(spot) / 30);
+            if (score > bestScore) {
+                bestScore = score;
+                best = spot;
+            }
+        }
+        return best;
+    }
+
+    // Walks up to a hiding spot; returns true once close enough to inspect it
+    approachHidingSpot(spot, deltaTime) {
+        this.searchPoint = spot; // Lets squadmates pick other spots
+        if (this.horizontalDistanceTo(spot) < INSPECT_DISTANCE) {
+            this.clearPath();
+            return true;
+        }
+        this.followPathTo(spot, this.speed, deltaTime);
+        return false;
+    }
+
+    // Chance of finding a particular hider in an inspected spot: the difficulty's base chance, raised for
+    // scared hiders (presence.fear) and ones that have stayed put a long time (presence.hidingSince)
+    getDiscoveryChance(player) {
+        const fear = THREE.MathUtils.clamp((player.fear || 0) / 100, 0, 1);
+        const hiddenSeconds = player.hidingSince ? Math.max(0, (Date.now() - player.hidingSince) / 1000) : 0;
+        const stay = Math.min(1, hiddenSeconds / STAY_DISCOVERY_SECONDS);
+        const chance = this.discoveryChance * (1 + fear * FEAR_DISCOVERY_BONUS) * (1 + stay * STAY_DISCOVERY_BONUS);
+        return Math.min(MAX_DISCOVERY_CHANCE, chance);
+    }
+
+    // Finishes inspecting a spot: rolls for every hider tucked in there and pulls the found ones out.
+    // Returns the discovered players.
+    inspectHidingSpot(spot) {
+        if (this.heatmap) this.heatmap.markChecked(spot);
+        this.searchPoint = null;
+        const discovered = [];
+        for (const player of this.knownPlayers) {
+            if (!player.isHiding || !player.position) continue;
+            if (player.position.distanceTo(spot) > HIDING_SPOT_REACH) continue;
+            if (Math.random() < this.getDiscoveryChance(player)) {
+                this.discoverHider(player, spot);
+                discovered.push(player);
+            }
+        }
+        return discovered;
+    }
+
+    // Tells the hider's client to leave the spot (GameManager handles 'hiderDiscovered') and goes after them
+    discoverHider(player, spot) {
+        this.blackboard.set('lastKnownPosition', player.position.clone());
+        this.blackboard.set('searchTime', 0);
+        if (this.squad) this.squad.reportSighting(player, this);
+        if (this.heatmap) this.heatmap.addSighting(player.position);
+        this.lastDecisionTime = 0; // Look again straight away now they're out in the open
+
+        if (this.room) {
+            this.room.send(createMessage('hiderDiscovered', {
+                playerId: player.id,
+                position: { x: spot.x, y: spot.y, z: spot.z },
+                seekerPosition: { x: this.position.x, y: this.position.y, z: this.position.z }
+            }));
+        }
     }
     
     idle(deltaTime) {
@@ -422,6 +779,153 @@ export class AISeeker {
         this.rotation += Math.sin(time * 0.1) * deltaTime * 0.5;
     }
     
+    setNavigationGrid(navGrid, pathfinder = null) {
+        if (this.navGrid) {
+            this.navGrid.removeEventListener('change', this.onNavGridChange);
+        }
+        this.clearPath();
+        this.navGrid = navGrid;
+        this.pathfinder = pathfinder;
+        if (this.navGrid) {
+            this.navGrid.addEventListener('change', this.onNavGridChange);
+        }
+    }
+
+    // Re-plan if the rest of the current path crosses cells whose walkability just changed
+    handleNavigationChange(change) {
+        if (this.pendingPathRequest) {
+            this.pendingPathChanges.push(change);
+        }
+        if (this.path && this.pathCrossesChange(this.path, this.pathIndex, change)) {
+            this.clearPath();
+        }
+    }
+
+    pathCrossesChange(path, startIndex, change) {
+        let from = this.position;
+        for (let i = startIndex; i < path.length; i++) {
+            const to = path[i];
+            const segmentMinX = Math.min(from.x, to.x);
+            const segmentMaxX = Math.max(from.x, to.x);
+            const segmentMinZ = Math.min(from.z, to.z);
+            const segmentMaxZ = Math.max(from.z, to.z);
+            if (segmentMinX <= change.upperBound.x && segmentMaxX >= change.lowerBound.x &&
+                segmentMinZ <= change.upperBound.z && segmentMaxZ >= change.lowerBound.z) {
+                return true;
+            }
+            from = to;
+        }
+        return false;
+    }
+
+    clearPath() {
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null;
+        this.cancelPendingPath();
+    }
+
+    cancelPendingPath() {
+        if (this.pendingPathRequest) {
+            this.pendingPathRequest.cancel();
+            this.pendingPathRequest = null;
+        }
+        this.pendingPathChanges = [];
+    }
+
+    getGroundPosition() {
+        return new THREE.Vector3(this.position.x, this.position.y - EYE_HEIGHT, this.position.z);
+    }
+
+    // Keeps the seeker on the nav level it is walking on (ground, ramp or bridge deck), so it climbs and
+    // descends with the path instead of staying at spawn height
+    snapToNavLevel() {
+        if (!this.navGrid) return;
+        const coords = this.navGrid.worldToGridCoordinates(this.position);
+        if (!coords) return;
+        const groundY = this.position.y - EYE_HEIGHT;
+        const node = this.navGrid.getClosestWalkableLevel(coords.x, coords.y, groundY);
+        if (node && Math.abs(node.worldPosition.y - groundY) <= this.navGrid.getMaxClimb(this.navGrid.cellSize)) {
+            this.position.y = node.worldPosition.y + EYE_HEIGHT;
+        }
+    }
+
+    horizontalDistanceTo(point) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    planPath(goal) {
+        this.pathGoal = goal.clone();
+        this.repathTimer = this.repathInterval;
+        const options = { smooth: true, costProfile: this.costProfile };
+
+        const start = this.getGroundPosition();
+        if (!this.pathfinder) {
+            this.path = this.navGrid.findPath(start, goal, options);
+            this.pathIndex = 0;
+            return;
+        }
+
+        // Keep following the previous path until the worker answers
+        this.cancelPendingPath();
+        const request = this.pathfinder.requestPath(start, goal, options);
+        this.pendingPathRequest = request;
+        request.promise.then(path => {
+            if (this.pendingPathRequest !== request) return; // Superseded or cancelled
+            const changes = this.pendingPathChanges;
+            this.pendingPathRequest = null;
+            this.pendingPathChanges = [];
+
+            // The worker may have searched before a grid change reached it
+            if (path && changes.some(change => this.pathCrossesChange(path, 0, change))) {
+                this.pathGoal = null; // Forces a re-plan next frame
+                return;
+            }
+            this.path = path;
+            this.pathIndex = 0;
+        });
+    }
+
+    // Moves along an A* path to goal, re-planning when the goal drifts or the path runs out.
+    // Falls back to steering straight at the goal when there is no grid or no route.
+    followPathTo(goal, speed, deltaTime) {
+        if (this.navGrid) {
+            this.repathTimer -= deltaTime;
+            const goalMoved = !this.pathGoal || this.pathGoal.distanceTo(goal) > REPATH_GOAL_SHIFT;
+            if (goalMoved || (this.repathTimer <= 0 && this.pathGoal.distanceTo(goal) > 0.01)) {
+                this.planPath(goal);
+            }
+        }
+
+        let waypoint = goal;
+        if (this.path) {
+            // Skip waypoints we're already standing on
+            while (this.pathIndex < this.path.length - 1 &&
+                   this.horizontalDistanceTo(this.path[this.pathIndex]) < WAYPOINT_REACHED_DISTANCE) {
+                this.pathIndex++;
+            }
+            if (this.pathIndex < this.path.length) {
+                waypoint = this.path[this.pathIndex];
+            }
+            // Long routes are only refined near their start, plan the next stretch before reaching
+            // the coarse rest
+            if (this.path.refinedLength !== undefined && !this.pendingPathRequest) {
+                const refinedEnd = this.path.refinedLength - 1;
+                if (this.pathIndex > refinedEnd ||
+                    (this.pathIndex === refinedEnd && this.horizontalDistanceTo(this.path[refinedEnd]) < REFINE_AHEAD_DISTANCE)) {
+                    this.planPath(goal);
+                }
+            }
+        }
+
+        const direction = new THREE.Vector3(waypoint.x - this.position.x, 0, waypoint.z - this.position.z);
+        if (direction.lengthSq() < 0.0001) return;
+        direction.normalize();
+        this.moveTowards(direction, speed, deltaTime);
+    }
+    
     moveTowards(direction, speed, deltaTime) {
         const baseMoveDirection = direction.clone();
         let chosenDirection = baseMoveDirection.clone();
@@ -433,8 +937,8 @@ export class AISeeker {
         const feelerDistanceThreshold = 2.5;
         let foundClearPath = false;
 
-        // AI's "eye" or raycast origin height - adjust if AI has a different pivot/height
-        const aiRaycastY = this.position.y + 1.0;
+        // Relative to the level the seeker stands on, not the world, so a deck overhead isn't a wall
+        const aiRaycastY = this.position.y - EYE_HEIGHT + FEELER_HEIGHT;
         const rayFrom = new CANNON.Vec3(this.position.x, aiRaycastY, this.position.z);
 
         for (const angle of feelerAngles) {
@@ -482,21 +986,20 @@ export class AISeeker {
         // Apply movement
         this.position.x += this.velocity.x * deltaTime;
         this.position.z += this.velocity.z * deltaTime;
+        this.snapToNavLevel();
         
         // Update rotation to face movement direction
         if (this.velocity.lengthSq() > 0.001) { // Use lengthSq for minor perf gain
             this.rotation = Math.atan2(this.velocity.x, this.velocity.z);
         }
-        
-        // Keep on ground - this might need adjustment if terrain has varying height
-        // For now, assuming obstacles define navigable space and AI stays at its current y.
-        // this.position.y = 2; // Or ensure it's set based on environment data if available
     }
     
     updateVisual() {
         if (this.visual) {
             this.visual.position.copy(this.position);
             this.visual.rotation.y = this.rotation;
+            // Telegraph an inspection: lean in and sniff around the hiding spot
+            this.visual.rotation.x = this.state === 'inspecting' ? 0.35 + Math.sin(Date.now() * 0.012) * 0.1 : 0;
         }
     }
     
@@ -514,6 +1017,12 @@ export class AISeeker {
                 this.stepTimer = Date.now();
             }
         }
+        
+        // Sniff when it starts inspecting a hiding spot, so hiders get a warning
+        if (this.state === 'inspecting' && this.lastAudioState !== 'inspecting') {
+            this.playSniff();
+        }
+        this.lastAudioState = this.state;
     }
     
     playBreathing() {
@@ -539,11 +1048,11 @@ export class AISeeker {
             
             // Broadcast catch event
             if (this.room) { // Added check
-                this.room.send({
-                    type: 'playerCaught',
+                const position = player && player.position ? player.position : this.position; // Check player for position
+                this.room.send(createMessage('playerCaught', {
                     playerId: player && player.id ? player.id : 'unknown', // Check player for id
-                    position: player && player.position ? player.position : this.position // Check player for position
-                });
+                    position: { x: position.x, y: position.y, z: position.z }
+                }));
             } else {
                 console.warn('AISeeker.catchPlayer: this.room is not available to send playerCaught message.');
             }
@@ -556,6 +1065,12 @@ export class AISeeker {
         }
     }
     
+    playSniff() {
+        if (this.audioManager && this.sniffBuffer) {
+            this.audioManager.playSound(this.sniffBuffer, { volume: 0.5 });
+        }
+    }
+    
     playCatchSound() {
         if (this.audioManager && this.catchBuffer) {
             this.audioManager.playSound(this.catchBuffer, { volume: 0.7 });
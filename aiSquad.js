@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+import { Blackboard } from './behaviourTree.js';
+import { AISeeker } from './aiSeeker.js';
+import { DEFAULT_AI_DIFFICULTY, getAIDifficulty } from './aiDifficulty.js';
+import { HiderHeatmap } from './hiderHeatmap.js';
+import { TensionMeter } from './aiTension.js';
+
+const MAX_AI_SEEKERS = 6;
+const HIDERS_PER_AI_SEEKER = 3; // Auto mode adds a seeker for every this many hiders
+const SPAWN_SPREAD_RADIUS = 3; // Seekers spawn on a circle this wide around the camp centre
+const CONTEST_DISTANCE = 6; // A seeker still chases a target someone else claimed if it's this close
+const SHARED_SEARCH_DISTANCE = 8; // Seekers searching centres this close together split the circle between them
+
+// Owns every AI seeker in a round and the squad blackboard they coordinate through:
+//   sightings - Map(playerId -> { position, time, claimedBy }) of where hiders were last seen or heard
+//   claims    - Map(playerId -> seeker) of who is chasing whom, so seekers spread out instead of dog-piling
+// plus a HiderHeatmap (once the nav grid exists) of where hiders probably are, fed by every seeker, and a
+// TensionMeter pacing how hard the squad pushes over the round.
+// Human seekers count as claimants too, so in mixed games the AI covers the hiders the humans aren't after.
+// Only the host simulates the squad; other clients replay its snapshots (see GameManager.broadcastAIState).
+export class AISquad {
+    constructor(scene, environment, audioManager, world) {
+        this.scene = scene;
+        this.environment = environment;
+        this.audioManager = audioManager;
+        this.world = world;
+
+        this.seekers = [];
+        this.blackboard = new Blackboard({ sightings: new Map(), claims: new Map() });
+        this.humanSeekers = []; // Positions of human seekers this tick
+        this.difficulty = DEFAULT_AI_DIFFICULTY;
+        this.navGrid = null;
+        this.pathfinder = null;
+        this.room = null;
+        this.noiseEvents = null;
+        this.heatmap = null;
+        this.tension = new TensionMeter();
+        this.patrolRoute = null; // Map-wide route shared by every seeker, see setPatrolRoute()
+
+        this.setSeekerCount(1);
+    }
+
+    // Number of AI seekers for a round. requested = 0 means scale with the hider count; with human
+    // seekers in the round the AI only joins in when assist is on.
+    static resolveSeekerCount(requested, hiderCount, humanSeekerCount, assist) {
+        if (humanSeekerCount > 0 && !assist) return 0;
+        let count = requested > 0 ? requested : Math.ceil(hiderCount / HIDERS_PER_AI_SEEKER);
+        if (humanSeekerCount > 0 && requested <= 0) count -= humanSeekerCount;
+        return THREE.MathUtils.clamp(count, 1, MAX_AI_SEEKERS);
+    }
+
+    setSeekerCount(count) {
+        count = THREE.MathUtils.clamp(Math.floor(count) || 0, 0, MAX_AI_SEEKERS);
+        while (this.seekers.length > count) {
+            this.seekers.pop().destroy();
+        }
+        while (this.seekers.length < count) {
+            const seeker = new AISeeker(this.scene, this.environment, this.audioManager, this.world);
+            seeker.squad = this;
+            seeker.room = this.room;
+            seeker.noiseEvents = this.noiseEvents;
+            seeker.heatmap = this.heatmap;
+            seeker.setDifficulty(this.difficulty);
+            if (this.navGrid) seeker.setNavigationGrid(this.navGrid, this.pathfinder);
+            this.seekers.push(seeker);
+        }
+        if (this.patrolRoute) this.setPatrolRoute(this.patrolRoute);
+        this.resetPositions();
+    }
+
+    // Spreads the seekers around the camp and staggers their patrol routes so they start out apart
+    resetPositions() {
+        const count = this.seekers.length;
+        this.seekers.forEach((seeker, i) => {
+            const angle = (i / count) * Math.PI * 2;
+            const radius = count > 1 ? SPAWN_SPREAD_RADIUS : 0;
+            seeker.setPosition(new THREE.Vector3(Math.cos(angle) * radius, 2, Math.sin(angle) * radius));
+            seeker.currentPatrolIndex = Math.floor((i / count) * seeker.patrolPoints.length);
+        });
+    }
+
+    getSeekerCount() {
+        return this.seekers.length;
+    }
+
+    setRoom(room) {
+        this.room = room;
+        for (const seeker of this.seekers) seeker.room = room;
+    }
+
+    setNoiseEvents(noiseEvents) {
+        this.noiseEvents = noiseEvents;
+        for (const seeker of this.seekers) seeker.noiseEvents = noiseEvents;
+    }
+
+    setDifficulty(id) {
+        this.difficulty = id;
+        for (const seeker of this.seekers) seeker.setDifficulty(id);
+    }
+
+    setNavigationGrid(navGrid, pathfinder = null) {
+        this.navGrid = navGrid;
+        this.pathfinder = pathfinder;
+        this.heatmap = navGrid ? new HiderHeatmap(navGrid) : null;
+        if (this.heatmap && this.environment) this.heatmap.setHidingSpots(this.environment.getHidingSpots());
+        for (const seeker of this.seekers) {
+            seeker.setNavigationGrid(navGrid, pathfinder);
+            seeker.heatmap = this.heatmap;
+        }
+    }
+
+    // Gives every seeker the same loop, each starting a different stretch of it so they spread out
+    setPatrolRoute(points) {
+        if (!points || points.length === 0) return;
+        this.patrolRoute = points;
+        const count = this.seekers.length;
+        this.seekers.forEach((seeker, i) => {
+            seeker.setPatrolPoints(points, Math.floor((i / count) * points.length));
+        });
+    }
+
+    // Host update. players come from GameManager.getActivePlayers(); human seekers are split off so the
+    // AI neither chases them nor competes with them for hiders.
+    update(deltaTime, players, gameState) {
+        if (!gameState || gameState.phase !== 'seeking') {
+            this.resetCoordination();
+        }
+        const hiders = players.filter(player => player.role !== 'seeker');
+        this.humanSeekers = players.filter(player => player.role === 'seeker').map(player => player.position);
+        this.expireSightings();
+        if (this.heatmap) this.heatmap.update(deltaTime);
+        if (gameState && gameState.phase === 'seeking') {
+            const progress = gameState.maxTime ? 1 - gameState.timer / gameState.maxTime : 0;
+            const chasing = this.seekers.filter(seeker => seeker.state === 'chasing').length;
+            const stalking = this.seekers.filter(seeker => seeker.state === 'stalking').length;
+            this.tension.update(deltaTime, progress, chasing, stalking);
+        }
+        for (const seeker of this.seekers) {
+            seeker.update(deltaTime, hiders, gameState);
+        }
+    }
+
+    updateRemote(deltaTime) {
+        for (const seeker of this.seekers) seeker.updateRemote(deltaTime);
+    }
+
+    getSnapshot() {
+        return this.seekers.map(seeker => seeker.getSnapshot());
+    }
+
+    applySnapshot(snapshots, receivedAt = Date.now()) {
+        if (!Array.isArray(snapshots)) return;
+        if (snapshots.length !== this.seekers.length) this.setSeekerCount(snapshots.length);
+        snapshots.forEach((snapshot, i) => this.seekers[i].applySnapshot(snapshot, receivedAt));
+    }
+
+    takeOverSimulation(players = []) {
+        this.resetCoordination();
+        for (const seeker of this.seekers) seeker.takeOverSimulation(players);
+    }
+
+    resetCoordination() {
+        this.blackboard.get('sightings').clear();
+        this.blackboard.get('claims').clear();
+        if (this.heatmap) this.heatmap.reset();
+        this.tension.reset();
+    }
+
+    // --- Squad blackboard ---
+
+    // claimant: the seeker going after this player itself, so nobody else follows the sighting up.
+    // Players a seeker spotted but isn't after stay open for the rest of the squad.
+    reportSighting(player, claimant = null) {
+        if (!player || !player.id || !player.position) return;
+        const sightings = this.blackboard.get('sightings');
+        const existing = sightings.get(player.id);
+        sightings.set(player.id, {
+            position: player.position.clone(),
+            time: Date.now(),
+            claimedBy: claimant || (existing ? existing.claimedBy : null)
+        });
+    }
+
+    // A hider was caught (by anyone): forget them and let the scare push the tension up
+    handlePlayerCaught(playerId) {
+        this.forgetPlayer(playerId);
+        this.tension.addCatch();
+    }
+
+    forgetPlayer(playerId) {
+        this.blackboard.get('sightings').delete(playerId);
+        this.blackboard.get('claims').delete(playerId);
+    }
+
+    expireSightings() {
+        // Remembered as long as a seeker's own memory of a last known position
+        const memoryMs = getAIDifficulty(this.difficulty).memoryDuration * 1000;
+        const now = Date.now();
+        const sightings = this.blackboard.get('sightings');
+        for (const [playerId, sighting] of sightings) {
+            if (now - sighting.time > memoryMs) sightings.delete(playerId);
+        }
+        const claims = this.blackboard.get('claims');
+        for (const [playerId, seeker] of claims) {
+            if (!this.seekers.includes(seeker) || seeker.target?.id !== playerId) claims.delete(playerId);
+        }
+    }
+
+    // Picks which of the players a seeker can see it should chase: the closest one nobody else is after,
+    // or a claimed one only when it's right in front of this seeker
+    pickTarget(seeker, candidates) {
+        const claims = this.blackboard.get('claims');
+        const sorted = [...candidates].sort((a, b) =>
+            seeker.position.distanceTo(a.position) - seeker.position.distanceTo(b.position));
+
+        let choice = sorted.find(player => {
+            const claimant = claims.get(player.id);
+            return (!claimant || claimant === seeker) && !this.isHumanCloser(seeker, player.position);
+        });
+        if (!choice && sorted.length > 0 && seeker.position.distanceTo(sorted[0].position) < CONTEST_DISTANCE) {
+            choice = sorted[0];
+        }
+
+        for (const [playerId, claimant] of claims) {
+            if (claimant === seeker && playerId !== choice?.id) claims.delete(playerId);
+        }
+        if (choice && !claims.has(choice.id)) claims.set(choice.id, seeker);
+        return choice || null;
+    }
+
+    isHumanCloser(seeker, position) {
+        const distance = seeker.position.distanceTo(position);
+        return this.humanSeekers.some(humanPosition => humanPosition.distanceTo(position) < distance);
+    }
+
+    // Freshest unclaimed sighting away from human seekers, for a seeker with nothing better to do
+    findOpenSighting(seeker) {
+        let best = null;
+        for (const [playerId, sighting] of this.blackboard.get('sightings')) {
+            if (sighting.claimedBy && sighting.claimedBy !== seeker) continue;
+            if (this.isHumanCloser(seeker, sighting.position)) continue;
+            if (!best || sighting.time > best.sighting.time) best = { playerId, sighting };
+        }
+        return best;
+    }
+
+    claimSighting(playerId, seeker) {
+        const sighting = this.blackboard.get('sightings').get(playerId);
+        if (sighting) sighting.claimedBy = seeker;
+    }
+
+    // Called when a seeker gives up on an area: drops the sightings it was following up
+    releaseSightings(seeker, center) {
+        const sightings = this.blackboard.get('sightings');
+        for (const [playerId, sighting] of sightings) {
+            if (sighting.claimedBy === seeker || sighting.position.distanceTo(center) < seeker.searchRadius) {
+                sightings.delete(playerId);
+            }
+        }
+    }
+
+    // Slice of the search circle around center this seeker should sweep: { start, span } in radians.
+    // Seekers searching around the same spot each take an equal share.
+    getSearchSector(seeker, center) {
+        const sharing = this.seekers.filter(other => {
+            if (other === seeker) return true;
+            const otherCenter = other.blackboard.get('lastKnownPosition');
+            return other.state === 'searching' && otherCenter && otherCenter.distanceTo(center) < SHARED_SEARCH_DISTANCE;
+        });
+        const span = (Math.PI * 2) / sharing.length;
+        return { start: sharing.indexOf(seeker) * span, span };
+    }
+
+    // Where the other seekers are searching (or lying in wait), so destinations get shared out
+    getSearchPoints(seeker) {
+        return this.seekers
+            .filter(other => other !== seeker && other.searchPoint)
+            .map(other => other.searchPoint);
+    }
+
+    destroy() {
+        for (const seeker of this.seekers) seeker.destroy();
+        this.seekers = [];
+    }
+}
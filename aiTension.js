@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+const BASELINE_START = 0.15; // Tension at the start of the seeking phase...
+const BASELINE_END = 0.7; // ...rising to this as the clock runs down
+const CHASE_PRESSURE_PER_SECOND = 0.12; // Added for every seeker chasing someone
+const STALK_PRESSURE_PER_SECOND = 0.03; // Added for every seeker stalking someone
+const CATCH_PRESSURE = 0.35;
+const PRESSURE_DECAY_PER_SECOND = 0.04;
+const RELAX_PRESSURE_DRAIN_PER_SECOND = 0.08;
+const PEAK_TENSION = 0.9; // Reaching this starts a peak...
+const PEAK_HOLD_SECONDS = 6; // ...which lasts this long before the seekers back off
+const RELAX_SECONDS = 12; // Fake-out retreats and no pursuit for this long after a peak
+const CLIMAX_PROGRESS = 0.85; // Past this share of the round the seekers stop backing off
+const AGGRESSION_SWING = 0.3; // Tension shift between aggression 0.5 and either end
+
+// Pacing curve for a round, shared by an AISquad. value (0..1) is a baseline that rises as the round goes
+// on plus pressure from chases and catches. Behaviour tree leaves are gated on it (see the tensionBetween
+// and tensionRelaxing conditions in seekerBehaviours.js), so the seekers stalk and lie in wait while it's
+// low, chase when it's high, and back off for a while after each peak until the final stretch. The
+// AIDirector leans on it through setAggression() when the hiders are calmer or more scared than it wants.
+// phase: 'buildUp' -> 'peak' -> 'relax' -> 'buildUp' ...
+export class TensionMeter {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.pressure = 0;
+        this.progress = 0;
+        this.phase = 'buildUp';
+        this.phaseTime = 0;
+        this.value = BASELINE_START;
+        this.aggression = 0.5;
+    }
+
+    // progress: 0..1 share of the seeking phase gone; chasing/stalking: how many seekers are doing so
+    update(deltaTime, progress, chasing = 0, stalking = 0) {
+        this.progress = THREE.MathUtils.clamp(progress || 0, 0, 1);
+        this.phaseTime += deltaTime;
+
+        if (this.phase === 'relax') {
+            this.pressure -= RELAX_PRESSURE_DRAIN_PER_SECOND * deltaTime;
+        } else {
+            this.pressure += (chasing * CHASE_PRESSURE_PER_SECOND + stalking * STALK_PRESSURE_PER_SECOND) * deltaTime;
+            this.pressure -= PRESSURE_DECAY_PER_SECOND * deltaTime;
+        }
+        this.pressure = THREE.MathUtils.clamp(this.pressure, 0, 1);
+
+        const baseline = THREE.MathUtils.lerp(BASELINE_START, BASELINE_END, this.progress);
+        this.value = THREE.MathUtils.clamp(
+            baseline + this.pressure * (1 - baseline) + (this.aggression - 0.5) * 2 * AGGRESSION_SWING, 0, 1);
+
+        const climax = this.progress >= CLIMAX_PROGRESS;
+        switch (this.phase) {
+            case 'buildUp':
+                if (this.value >= PEAK_TENSION) this.setPhase('peak');
+                break;
+            case 'peak':
+                if (this.phaseTime >= PEAK_HOLD_SECONDS && !climax) this.setPhase('relax');
+                break;
+            case 'relax':
+                if (this.phaseTime >= RELAX_SECONDS || climax) this.setPhase('buildUp');
+                break;
+        }
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.phaseTime = 0;
+    }
+
+    // aggression: 0..1, 0.5 leaves the curve as it is
+    setAggression(aggression) {
+        this.aggression = THREE.MathUtils.clamp(aggression, 0, 1);
+    }
+
+    addCatch() {
+        this.pressure = Math.min(1, this.pressure + CATCH_PRESSURE);
+    }
+
+    isRelaxing() {
+        return this.phase === 'relax';
+    }
+}
@@ -0,0 +1,305 @@
+// Small behaviour tree runtime used by AISeeker (see seekerBehaviours.js for its leaves and default tree).
+// Trees are built from plain data so they can be defined per difficulty or per map:
+//
+// {
+//     type: 'selector', children: [
+//         { type: 'sequence', children: [
+//             { type: 'condition', name: 'canSeeTarget' },
+//             { type: 'action', name: 'chaseTarget' }
+//         ] },
+//         { type: 'cooldown', seconds: 20, child: { type: 'action', name: 'checkHidingSpots' } },
+//         { type: 'action', name: 'patrol', params: { speedMultiplier: 0.8 } }
+//     ]
+// }
+//
+// Leaves are looked up by name in a registry: { conditions: { name(agent, blackboard, params) -> bool },
+// actions: { name(agent, blackboard, deltaTime, params, memory) -> BT_STATUS } }.
+
+export const BT_STATUS = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+};
+
+// Shared memory of one agent's tree. Perception writes facts here, leaves read them and keep their own state.
+export class Blackboard {
+    constructor(initialValues = {}) {
+        this.values = new Map(Object.entries(initialValues));
+    }
+
+    get(key, fallback = null) {
+        return this.values.has(key) ? this.values.get(key) : fallback;
+    }
+
+    set(key, value) {
+        this.values.set(key, value);
+    }
+
+    has(key) {
+        return this.values.has(key) && this.values.get(key) !== null && this.values.get(key) !== undefined;
+    }
+
+    delete(key) {
+        this.values.delete(key);
+    }
+
+    clear() {
+        this.values.clear();
+    }
+}
+
+export class BTNode {
+    constructor(name = '') {
+        this.name = name;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        return BT_STATUS.FAILURE;
+    }
+
+    // Called when a RUNNING node is interrupted by a higher-priority branch, so it can drop its state
+    halt() {}
+}
+
+// Tries children in order until one doesn't fail. Re-evaluated from the first child every tick, so a
+// higher-priority branch (e.g. chasing) interrupts a running lower one (e.g. searching).
+export class Selector extends BTNode {
+    constructor(children = [], name = 'selector') {
+        super(name);
+        this.children = children;
+        this.runningChild = null;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(agent, blackboard, deltaTime);
+            if (status === BT_STATUS.FAILURE) continue;
+            this.switchRunningChild(status === BT_STATUS.RUNNING ? child : null, child);
+            return status;
+        }
+        this.switchRunningChild(null, null);
+        return BT_STATUS.FAILURE;
+    }
+
+    switchRunningChild(next, ticked) {
+        if (this.runningChild && this.runningChild !== next && this.runningChild !== ticked) {
+            this.runningChild.halt();
+        }
+        this.runningChild = next;
+    }
+
+    halt() {
+        this.switchRunningChild(null, null);
+    }
+}
+
+// Runs children in order while they succeed. Like Selector it restarts from the first child every tick,
+// so conditions at the front of a sequence guard the actions behind them.
+export class Sequence extends BTNode {
+    constructor(children = [], name = 'sequence') {
+        super(name);
+        this.children = children;
+        this.runningChild = null;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(agent, blackboard, deltaTime);
+            if (status === BT_STATUS.SUCCESS) continue;
+            this.switchRunningChild(status === BT_STATUS.RUNNING ? child : null, child);
+            return status;
+        }
+        this.switchRunningChild(null, null);
+        return BT_STATUS.SUCCESS;
+    }
+
+    switchRunningChild(next, ticked) {
+        if (this.runningChild && this.runningChild !== next && this.runningChild !== ticked) {
+            this.runningChild.halt();
+        }
+        this.runningChild = next;
+    }
+
+    halt() {
+        this.switchRunningChild(null, null);
+    }
+}
+
+export class Decorator extends BTNode {
+    constructor(child, name = 'decorator') {
+        super(name);
+        this.child = child;
+    }
+
+    halt() {
+        this.child.halt();
+    }
+}
+
+// Swaps SUCCESS and FAILURE
+export class Inverter extends Decorator {
+    tick(agent, blackboard, deltaTime) {
+        const status = this.child.tick(agent, blackboard, deltaTime);
+        if (status === BT_STATUS.SUCCESS) return BT_STATUS.FAILURE;
+        if (status === BT_STATUS.FAILURE) return BT_STATUS.SUCCESS;
+        return status;
+    }
+}
+
+// Turns FAILURE into SUCCESS, e.g. for optional steps inside a sequence
+export class Succeeder extends Decorator {
+    tick(agent, blackboard, deltaTime) {
+        const status = this.child.tick(agent, blackboard, deltaTime);
+        return status === BT_STATUS.RUNNING ? status : BT_STATUS.SUCCESS;
+    }
+}
+
+// Fails without ticking the child for `seconds` after the child last finished (wall-clock time, so the
+// cooldown also runs out while a higher-priority branch keeps this one from being ticked)
+export class Cooldown extends Decorator {
+    constructor(child, seconds, name = 'cooldown') {
+        super(child, name);
+        this.seconds = seconds;
+        this.readyAt = 0;
+        this.running = false;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        if (!this.running && Date.now() < this.readyAt) {
+            return BT_STATUS.FAILURE;
+        }
+        const status = this.child.tick(agent, blackboard, deltaTime);
+        this.running = status === BT_STATUS.RUNNING;
+        if (!this.running) this.readyAt = Date.now() + this.seconds * 1000;
+        return status;
+    }
+
+    halt() {
+        super.halt();
+        if (this.running) this.readyAt = Date.now() + this.seconds * 1000; // An interrupted run still uses up the cooldown
+        this.running = false;
+    }
+}
+
+// Fails the child once it has been RUNNING for longer than `seconds`
+export class TimeLimit extends Decorator {
+    constructor(child, seconds, name = 'timeLimit') {
+        super(child, name);
+        this.seconds = seconds;
+        this.elapsed = 0;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        this.elapsed += deltaTime;
+        if (this.elapsed > this.seconds) {
+            this.halt();
+            return BT_STATUS.FAILURE;
+        }
+        const status = this.child.tick(agent, blackboard, deltaTime);
+        if (status !== BT_STATUS.RUNNING) this.elapsed = 0;
+        return status;
+    }
+
+    halt() {
+        super.halt();
+        this.elapsed = 0;
+    }
+}
+
+// Re-runs the child after it succeeds, up to `times` (Infinity = forever); fails as soon as the child fails
+export class Repeater extends Decorator {
+    constructor(child, times = Infinity, name = 'repeater') {
+        super(child, name);
+        this.times = times;
+        this.count = 0;
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        const status = this.child.tick(agent, blackboard, deltaTime);
+        if (status === BT_STATUS.FAILURE) {
+            this.count = 0;
+            return status;
+        }
+        if (status === BT_STATUS.SUCCESS && ++this.count >= this.times) {
+            this.count = 0;
+            return BT_STATUS.SUCCESS;
+        }
+        return BT_STATUS.RUNNING;
+    }
+
+    halt() {
+        super.halt();
+        this.count = 0;
+    }
+}
+
+export class Condition extends BTNode {
+    constructor(predicate, params = {}, name = 'condition') {
+        super(name);
+        this.predicate = predicate;
+        this.params = params;
+    }
+
+    tick(agent, blackboard) {
+        return this.predicate(agent, blackboard, this.params) ? BT_STATUS.SUCCESS : BT_STATUS.FAILURE;
+    }
+}
+
+// Leaf that runs registry code. memory is private to this node (e.g. a wait timer) and is cleared whenever
+// the action finishes or is interrupted.
+export class Action extends BTNode {
+    constructor(run, params = {}, name = 'action') {
+        super(name);
+        this.run = run;
+        this.params = params;
+        this.memory = {};
+    }
+
+    tick(agent, blackboard, deltaTime) {
+        const status = this.run(agent, blackboard, deltaTime, this.params, this.memory) || BT_STATUS.SUCCESS;
+        if (status !== BT_STATUS.RUNNING) this.memory = {};
+        return status;
+    }
+
+    halt() {
+        this.memory = {};
+    }
+}
+
+// Builders for the `type` field of a definition. Designers can add their own with registerNodeType().
+const NODE_TYPES = {
+    selector: (definition, registry) => new Selector(buildChildren(definition, registry), definition.name),
+    sequence: (definition, registry) => new Sequence(buildChildren(definition, registry), definition.name),
+    inverter: (definition, registry) => new Inverter(buildBehaviourTree(definition.child, registry), definition.name),
+    succeeder: (definition, registry) => new Succeeder(buildBehaviourTree(definition.child, registry), definition.name),
+    cooldown: (definition, registry) => new Cooldown(buildBehaviourTree(definition.child, registry), definition.seconds || 0, definition.name),
+    timeLimit: (definition, registry) => new TimeLimit(buildBehaviourTree(definition.child, registry), definition.seconds || 0, definition.name),
+    repeater: (definition, registry) => new Repeater(buildBehaviourTree(definition.child, registry), definition.times || Infinity, definition.name),
+    condition: (definition, registry) => {
+        const predicate = registry.conditions?.[definition.name];
+        if (!predicate) throw new Error(`Unknown behaviour tree condition "${definition.name}"`);
+        return new Condition(predicate, definition.params || {}, definition.name);
+    },
+    action: (definition, registry) => {
+        const run = registry.actions?.[definition.name];
+        if (!run) throw new Error(`Unknown behaviour tree action "${definition.name}"`);
+        return new Action(run, definition.params || {}, definition.name);
+    }
+};
+
+function buildChildren(definition, registry) {
+    return (definition.children || []).map(child => buildBehaviourTree(child, registry));
+}
+
+export function registerNodeType(type, builder) {
+    NODE_TYPES[type] = builder;
+}
+
+// Builds a node tree from a plain-data definition, throwing on unknown node types or leaf names so a
+// typo in a map's tree is caught when it loads rather than silently doing nothing.
+export function buildBehaviourTree(definition, registry) {
+    if (!definition || !NODE_TYPES[definition.type]) {
+        throw new Error(`Unknown behaviour tree node type "${definition?.type}"`);
+    }
+    return NODE_TYPES[definition.type](definition, registry);
+}
@@ -0,0 +1,447 @@
+import * as THREE from 'three';
+import { NOISE_LOUDNESS, countOccluders, getAudibleRadius } from './noiseEvents.js';
+
+const BOT_ID_PREFIX = 'bot-';
+const MAX_BOT_HIDERS = 8;
+const BOT_SPEED = 4; // Walking to a hiding spot
+const BOT_RUN_SPEED = 7; // Fleeing, a little slower than the AI seekers run
+const BOT_HEARING_DISTANCE = 8; // Hears like an AISeeker with the reference hearing distance (see noiseEvents.js)
+const PERCEPTION_INTERVAL = 0.5; // Seconds between listening for seekers
+const PANIC_DISTANCE = 7; // A hidden bot stays put unless a seeker it hears gets this close
+const SAFE_SPOT_DISTANCE = 12; // Hiding spots closer than this to the seeker aren't worth fleeing to
+const WAYPOINT_REACHED_DISTANCE = 0.75;
+const HIDE_DISTANCE = 1.5; // Close enough to a spot to hide in it (Player.tryHide allows 2)
+const FEAR_PER_SECOND = 40; // Fear gained per second while a seeker is audible
+const FEAR_DECAY_PER_SECOND = 5;
+const REMOTE_FOLLOW_PER_SECOND = 8; // How quickly other clients' bots catch up with the host's snapshots
+
+export function isBotId(id) {
+    return typeof id === 'string' && id.startsWith(BOT_ID_PREFIX);
+}
+
+// A hider played by the host: walks to a free hiding spot during the hiding phase, hides there, and runs
+// for another one when it hears a seeker closing in. The AI seekers see it like any other player (see
+// BotHiderTeam.getPlayers) and it counts towards survivors. Other clients only replay its snapshots.
+// state: idle, moving, hidden, fleeing, caught
+export class BotHider {
+    constructor(scene, id, name) {
+        this.scene = scene;
+        this.id = id;
+        this.name = name;
+
+        this.position = new THREE.Vector3();
+        this.rotation = 0;
+        this.velocity = new THREE.Vector3();
+        this.state = 'idle';
+        this.isAlive = true;
+        this.isHiding = false;
+        this.hidingSince = null;
+        this.fear = 0;
+
+        this.spot = null; // Hiding spot the bot is heading for or hiding in
+        this.path = null;
+        this.pathIndex = 0;
+        this.pendingPathRequest = null; // PathfindingClient request for the current spot
+        this.perceptionTimer = 0;
+        this.remoteTarget = null; // Latest host snapshot position on other clients
+
+        this.createVisual();
+    }
+
+    createVisual() {
+        // Same look as other players' default visual (see main.js createOtherPlayerVisual)
+        const group = new THREE.Group();
+
+        const body = new THREE.Mesh(
+            new THREE.CapsuleGeometry(0.3, 1.5, 4, 8),
+            new THREE.MeshLambertMaterial({ color: 0x00ff00 })
+        );
+        body.position.y = 0.75;
+        body.castShadow = true;
+        group.add(body);
+
+        const head = new THREE.Mesh(
+            new THREE.SphereGeometry(0.25, 8, 8),
+            new THREE.MeshLambertMaterial({ color: 0xffddbb })
+        );
+        head.position.y = 1.6;
+        head.castShadow = true;
+        group.add(head);
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 256;
+        canvas.height = 64;
+        context.font = '24px Arial';
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.fillText(this.name, 128, 40);
+        const nameTag = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+        nameTag.position.y = 2.5;
+        nameTag.scale.set(2, 0.5, 1);
+        group.add(nameTag);
+
+        this.visual = group;
+        this.scene.add(this.visual);
+    }
+
+    spawn(position) {
+        this.position.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.state = 'idle';
+        this.isAlive = true;
+        this.isHiding = false;
+        this.hidingSince = null;
+        this.fear = 0;
+        this.spot = null;
+        this.clearPath();
+        this.remoteTarget = null;
+        this.updateVisual();
+    }
+
+    // Host update. seekers: [{ position, running }] of every AI and human seeker
+    update(deltaTime, team, seekers) {
+        if (!this.isAlive) return;
+
+        this.perceptionTimer -= deltaTime;
+        if (this.perceptionTimer <= 0) {
+            this.perceptionTimer = PERCEPTION_INTERVAL;
+            const heard = this.getClosestHeardSeeker(seekers, team.world);
+            if (heard) {
+                this.fear = Math.min(100, this.fear + FEAR_PER_SECOND * PERCEPTION_INTERVAL);
+                // Keep still in a hiding spot until the seeker is almost on top of it
+                if (!this.isHiding || this.position.distanceTo(heard.position) < PANIC_DISTANCE) {
+                    if (this.state !== 'fleeing') this.flee(team, heard.position);
+                }
+            }
+        }
+        if (this.state !== 'fleeing') this.fear = Math.max(0, this.fear - FEAR_DECAY_PER_SECOND * deltaTime);
+
+        if (!this.spot && !this.isHiding) {
+            this.spot = team.pickSpot(this);
+            this.state = this.spot ? 'moving' : 'idle';
+            this.clearPath();
+        }
+        if (this.spot && !this.isHiding) {
+            if (this.horizontalDistanceTo(this.spot) < HIDE_DISTANCE) {
+                this.hide();
+            } else {
+                this.moveTowards(this.spot, this.state === 'fleeing' ? BOT_RUN_SPEED : BOT_SPEED, deltaTime, team);
+            }
+        }
+        this.updateVisual();
+    }
+
+    // Closest seeker the bot can hear through distance and walls, or null
+    getClosestHeardSeeker(seekers, world) {
+        let closest = null;
+        let closestDistance = Infinity;
+        const ear = this.position.clone();
+        ear.y += 1.6;
+        for (const seeker of seekers) {
+            const noise = { loudness: NOISE_LOUDNESS[seeker.running ? 'run' : 'walk'] };
+            const distance = ear.distanceTo(seeker.position);
+            if (distance >= closestDistance || distance > getAudibleRadius(noise, BOT_HEARING_DISTANCE)) continue;
+            if (distance > getAudibleRadius(noise, BOT_HEARING_DISTANCE, countOccluders(world, ear, seeker.position))) continue;
+            closest = seeker;
+            closestDistance = distance;
+        }
+        return closest;
+    }
+
+    // Leaves its spot and runs for one away from the seeker
+    flee(team, from) {
+        this.unhide();
+        this.spot = team.pickSpot(this, from);
+        this.state = this.spot ? 'fleeing' : 'idle';
+        this.clearPath();
+    }
+
+    hide() {
+        this.isHiding = true;
+        this.hidingSince = Date.now();
+        this.state = 'hidden';
+        this.velocity.set(0, 0, 0);
+        this.clearPath();
+    }
+
+    unhide() {
+        this.isHiding = false;
+        this.hidingSince = null;
+    }
+
+    catch() {
+        this.unhide();
+        this.isAlive = false;
+        this.state = 'caught';
+        this.spot = null;
+        this.velocity.set(0, 0, 0);
+        this.updateVisual();
+    }
+
+    clearPath() {
+        this.path = null;
+        this.pathIndex = 0;
+        if (this.pendingPathRequest) {
+            this.pendingPathRequest.cancel();
+            this.pendingPathRequest = null;
+        }
+    }
+
+    // Plans a path to goal through the team's PathfindingClient, or inline on the grid without one.
+    // Unreachable goals get a straight line.
+    planPath(goal, team) {
+        const options = { smooth: true, costProfile: 'hider' };
+        if (!team.pathfinder) {
+            this.path = team.navGrid.findPath(this.position, goal, options) || [goal.clone()];
+            this.pathIndex = 0;
+            return;
+        }
+
+        const request = team.pathfinder.requestPath(this.position, goal, options);
+        this.pendingPathRequest = request;
+        request.promise.then(path => {
+            if (this.pendingPathRequest !== request) return; // Cancelled by clearPath()
+            this.pendingPathRequest = null;
+            this.path = path || [goal.clone()];
+            this.pathIndex = 0;
+        });
+    }
+
+    horizontalDistanceTo(point) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    // Walks an A* path to goal (planned once per goal), or straight at it without a grid or while the
+    // path is being searched
+    moveTowards(goal, speed, deltaTime, team) {
+        if (!this.path && !this.pendingPathRequest && team.navGrid) {
+            this.planPath(goal, team);
+        }
+        let waypoint = goal;
+        if (this.path) {
+            while (this.pathIndex < this.path.length - 1 &&
+                   this.horizontalDistanceTo(this.path[this.pathIndex]) < WAYPOINT_REACHED_DISTANCE) {
+                this.pathIndex++;
+            }
+            waypoint = this.path[this.pathIndex];
+        }
+
+        const direction = new THREE.Vector3(waypoint.x - this.position.x, 0, waypoint.z - this.position.z);
+        const distance = direction.length();
+        if (distance < 0.01) return;
+        const step = Math.min(distance, speed * deltaTime);
+        direction.divideScalar(distance);
+        this.velocity.copy(direction).multiplyScalar(speed);
+        this.position.addScaledVector(direction, step);
+        if (this.path) this.position.y = waypoint.y; // Waypoints sit on the ground
+        this.rotation = Math.atan2(direction.x, direction.z);
+    }
+
+    updateVisual() {
+        if (!this.visual) return;
+        this.visual.position.copy(this.position);
+        this.visual.rotation.y = this.rotation;
+        this.visual.visible = !this.isHiding;
+        this.visual.rotation.x = this.isAlive ? 0 : Math.PI / 2; // Caught bots fall over like players
+    }
+
+    // What the AI seekers and the director get for this bot, shaped like GameManager.getActivePlayers()
+    toPlayer() {
+        return {
+            id: this.id,
+            position: this.position.clone(),
+            rotation: this.rotation + Math.PI, // Bots face +Z of their yaw, players look down -Z
+            role: 'hider',
+            isAlive: true,
+            isHiding: this.isHiding,
+            hidingSince: this.hidingSince,
+            fear: this.fear,
+            isRunning: this.state === 'fleeing',
+            velocity: this.velocity.clone()
+        };
+    }
+
+    getSnapshot() {
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            id: this.id,
+            p: [round(this.position.x), round(this.position.y), round(this.position.z)],
+            r: round(this.rotation),
+            h: this.isHiding,
+            a: this.isAlive
+        };
+    }
+
+    applySnapshot(snapshot) {
+        this.remoteTarget = new THREE.Vector3(snapshot.p[0], snapshot.p[1], snapshot.p[2]);
+        this.rotation = snapshot.r;
+        this.isHiding = !!snapshot.h;
+        this.isAlive = snapshot.a !== false;
+    }
+
+    // The previous host left: carry on simulating from the last snapshot. A hiding bot stays put in the spot
+    // it's in, anyone else picks a new spot on its next update.
+    takeOverSimulation() {
+        if (this.remoteTarget) this.position.copy(this.remoteTarget);
+        this.remoteTarget = null;
+        this.velocity.set(0, 0, 0);
+        this.clearPath();
+        if (!this.isAlive) return;
+        if (this.isHiding) {
+            this.spot = this.position.clone();
+            this.hidingSince = Date.now();
+            this.state = 'hidden';
+        } else {
+            this.spot = null;
+            this.state = 'idle';
+        }
+    }
+
+    updateRemote(deltaTime) {
+        if (this.remoteTarget) {
+            // Snap after a long gap (e.g. a respawn), otherwise ease towards the host's position
+            if (this.position.distanceTo(this.remoteTarget) > 10) this.position.copy(this.remoteTarget);
+            else this.position.lerp(this.remoteTarget, Math.min(1, REMOTE_FOLLOW_PER_SECOND * deltaTime));
+        }
+        this.updateVisual();
+    }
+
+    destroy() {
+        this.clearPath();
+        if (this.visual) {
+            this.scene.remove(this.visual);
+            this.visual = null;
+        }
+    }
+}
+
+// Every bot hider in the round. The host picks how many (see resolveBotCount) and lists them in
+// gameState.bots, so every client creates the same bots; only the host simulates them.
+export class BotHiderTeam {
+    constructor(scene, environment, world) {
+        this.scene = scene;
+        this.environment = environment;
+        this.world = world;
+        this.navGrid = null;
+        this.pathfinder = null; // PathfindingClient, when set bot paths are searched off the main thread
+        this.bots = [];
+    }
+
+    // Bots needed to top a round up to fill players (0 = no bots)
+    static resolveBotCount(fill, humanCount) {
+        return THREE.MathUtils.clamp((fill || 0) - humanCount, 0, MAX_BOT_HIDERS);
+    }
+
+    static createRoster(count) {
+        const roster = [];
+        for (let i = 0; i < count; i++) roster.push({ id: `${BOT_ID_PREFIX}${i + 1}`, name: `Bot ${i + 1}` });
+        return roster;
+    }
+
+    setNavigationGrid(navGrid, pathfinder = null) {
+        this.navGrid = navGrid;
+        this.pathfinder = pathfinder;
+        for (const bot of this.bots) bot.clearPath();
+    }
+
+    // roster: gameState.bots, [{ id, name }]
+    setRoster(roster = []) {
+        const ids = roster.map(entry => entry.id);
+        for (const bot of this.bots.filter(bot => !ids.includes(bot.id))) bot.destroy();
+        this.bots = this.bots.filter(bot => ids.includes(bot.id));
+        for (const entry of roster) {
+            if (!this.getBot(entry.id)) this.bots.push(new BotHider(this.scene, entry.id, entry.name));
+        }
+    }
+
+    getBot(id) {
+        return this.bots.find(bot => bot.id === id) || null;
+    }
+
+    getName(id) {
+        const bot = this.getBot(id);
+        return bot ? bot.name : null;
+    }
+
+    // Host: drops every bot somewhere around the camp for the hiding phase
+    spawnAll() {
+        for (const bot of this.bots) {
+            const position = this.environment.getRandomSpawnPoint().clone();
+            position.y = 0;
+            bot.spawn(position);
+        }
+    }
+
+    // Free hiding spot for a bot: the nearest one, or when fleeing from a seeker the one that gets it
+    // furthest away without running past the seeker
+    pickSpot(bot, from = null) {
+        const taken = this.bots.filter(other => other !== bot && other.isAlive && other.spot).map(other => other.spot);
+        let best = null;
+        let bestScore = -Infinity;
+        for (const spot of this.environment.getHidingSpots()) {
+            if (taken.some(other => other.distanceTo(spot) < HIDE_DISTANCE)) continue;
+            const distance = bot.horizontalDistanceTo(spot);
+            let score = -distance;
+            if (from) {
+                const fromSeeker = spot.distanceTo(from);
+                if (fromSeeker < SAFE_SPOT_DISTANCE) continue;
+                score = fromSeeker - distance * 0.5;
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                best = spot;
+            }
+        }
+        return best;
+    }
+
+    // Host update during the hiding and seeking phases
+    update(deltaTime, seekers) {
+        for (const bot of this.bots) bot.update(deltaTime, this, seekers);
+    }
+
+    updateRemote(deltaTime) {
+        for (const bot of this.bots) bot.updateRemote(deltaTime);
+    }
+
+    // Living bots for the AI seekers and the director
+    getPlayers() {
+        return this.bots.filter(bot => bot.isAlive).map(bot => bot.toPlayer());
+    }
+
+    getSnapshot() {
+        return this.bots.map(bot => bot.getSnapshot());
+    }
+
+    applySnapshot(snapshots) {
+        if (!Array.isArray(snapshots)) return;
+        for (const snapshot of snapshots) {
+            const bot = this.getBot(snapshot.id);
+            if (bot) bot.applySnapshot(snapshot);
+        }
+    }
+
+    takeOverSimulation() {
+        for (const bot of this.bots) bot.takeOverSimulation();
+    }
+
+    handlePlayerCaught(id) {
+        const bot = this.getBot(id);
+        if (bot) bot.catch();
+    }
+
+    // Host: an AI seeker at seekerPosition pulled this bot out of its hiding spot
+    handleDiscovered(id, seekerPosition) {
+        const bot = this.getBot(id);
+        if (!bot || !bot.isAlive) return;
+        bot.flee(this, new THREE.Vector3(seekerPosition.x, seekerPosition.y, seekerPosition.z));
+    }
+
+    destroy() {
+        for (const bot of this.bots) bot.destroy();
+        this.bots = [];
+    }
+}
@@ -16,11 +16,17 @@ export class Environment {
         this.collisionObjects = []; // This might store CANNON.Body references if needed elsewhere, or become obsolete.
         this.hidingSpots = [];
         this.spawnPoints = [];
+        this.mapId = 'procedural'; // Identifies the loaded layout, e.g. for baked navigation grids
+        this.terrainAreas = []; // Navigation cost areas, see NavigationGrid.applyTerrainAreas()
+        this.chokepoints = []; // THREE.Vector3s players have to pass through (doors, bridge ends), AI seekers ambush here
+        this.atmosphere = 0; // 0..1 dread set by the AIDirector: light flicker and ambient sound get worse as it rises
+        this.blackoutTime = 0; // Seconds left of a scripted blackout (see triggerBlackout)
         
         this.setupLighting();
         this.setupFog();
         this.setupSky();
-        this.loadEnvironment();
+        this.ready = this.loadEnvironment(); // Resolves once all models and colliders have been added
+
         this.setupAmbientAudio();
     }
     
@@ -156,7 +162,10 @@ export class Environment {
             const campground = await this.loadModel('./Campground.glb');
             if (campground) {
                 console.log('Campground model loaded successfully');
+                this.mapId = 'campground';
                 this.setupCampgroundColliders(campground);
+                this.setupModelTerrainAreas(campground);
+                this.setupModelChokepoints(campground);
                 this.setupCampgroundHidingSpots();
             } else {
                 console.log('Campground failed, creating procedural environment');
@@ -168,10 +177,13 @@ export class Environment {
             const nuketown = await this.loadModel('./nuketown.glb');
             if (nuketown) {
                 console.log('Nuketown model loaded successfully');
+                this.mapId += '+nuketown';
                 // Position nuketown to the side of the main map
                 nuketown.position.set(100, 0, 0);
                 nuketown.scale.set(0.5, 0.5, 0.5);
                 this.setupNuketownColliders(nuketown);
+                this.setupModelTerrainAreas(nuketown);
+                this.setupModelChokepoints(nuketown);
                 this.setupNuketownHidingSpots();
             }
         } catch (error) {
@@ -266,6 +278,9 @@ export class Environment {
             this.world.addBody(cabinBody);
             // this.collisionObjects.push(cabinBody); // Optionally store if needed elsewhere
 
+            // Just outside the door (the cabin's +Z side)
+            this.chokepoints.push(position.clone().add(new THREE.Vector3(0, 0, 4)));
+
             // Add hiding spots around cabin
             this.hidingSpots.push(
                 position.clone().add(new THREE.Vector3(3, 0, 3)),
@@ -661,8 +676,23 @@ export class Environment {
             position: new CANNON.Vec3(center.x, center.y, center.z),
             quaternion: new CANNON.Quaternion().setFromEuler(0, angle, 0)
         });
+        deckBody.isWalkableSurface = true; // Something to walk on, not an obstacle for the nav grid
         this.world.addBody(deckBody);
 
+        // Both ends of the deck are chokepoints
+        this.chokepoints.push(
+            start.clone().addScaledVector(direction, -1),
+            end.clone().addScaledVector(direction, 1)
+        );
+
+        // Prefer the deck when pathfinding across (only nodes at deck height, not the water below)
+        deckBody.updateAABB();
+        this.terrainAreas.push({
+            layer: 'bridge',
+            lowerBound: { x: deckBody.aabb.lowerBound.x, y: center.y - 0.5, z: deckBody.aabb.lowerBound.z },
+            upperBound: { x: deckBody.aabb.upperBound.x, y: center.y + 0.5, z: deckBody.aabb.upperBound.z }
+        });
+
         // Railings visuals (physics for these might be overkill unless important for gameplay)
         const railHeight = 1;
         const railThickness = 0.1;
@@ -762,6 +792,13 @@ export class Environment {
         water.rotation.x = -Math.PI / 2;
         water.position.set(-25, 0.1, 15);
         this.scene.add(water);
+
+        // The lake has no collider, so mark it for navigation (below deck height, bridges stay dry)
+        this.terrainAreas.push({
+            layer: 'water',
+            lowerBound: { x: -40, y: -10, z: 5 },
+            upperBound: { x: -10, y: 0.6, z: 25 }
+        });
         
         // Animate water
         this.animateWater(water);
@@ -785,6 +822,11 @@ export class Environment {
                 (Math.random() - 0.5) * 90
             );
             this.scene.add(bush);
+            this.terrainAreas.push({
+                layer: 'bush',
+                center: bush.position.clone(),
+                radius: bush.geometry.parameters.radius + 0.5
+            });
             
             // Some bushes are hiding spots
             if (Math.random() < 0.2) {
@@ -847,7 +889,7 @@ export class Environment {
                 const gainNode = window.audioContext.createGain();
                 
                 source.buffer = this.windBuffer;
-                gainNode.gain.value = 0.05;
+                gainNode.gain.value = 0.05 + this.atmosphere * 0.1; // The wind picks up as the round builds
                 
                 source.connect(gainNode);
                 gainNode.connect(window.audioContext.destination);
@@ -862,7 +904,7 @@ export class Environment {
         
         // Play owl sounds randomly
         const playOwl = () => {
-            if (window.audioContext && this.owlBuffer && Math.random() < 0.3) {
+            if (window.audioContext && this.owlBuffer && Math.random() < 0.3 + this.atmosphere * 0.4) {
                 const source = window.audioContext.createBufferSource();
                 const gainNode = window.audioContext.createGain();
                 
@@ -879,16 +921,31 @@ export class Environment {
         setTimeout(playOwl, 5000);
     }
     
+    // level: 0..1, see AIDirector
+    setAtmosphere(level) {
+        this.atmosphere = THREE.MathUtils.clamp(level, 0, 1);
+    }
+    
+    triggerBlackout(seconds) {
+        this.blackoutTime = Math.max(this.blackoutTime, seconds);
+    }
+    
     update(deltaTime) {
         try {
+            this.blackoutTime = Math.max(0, this.blackoutTime - deltaTime);
+            const blackout = this.blackoutTime > 0;
+            // The higher the atmosphere, the more often lights cut out for a frame
+            const dropoutChance = this.atmosphere * this.atmosphere * 0.15;
+            
             // Update flickering lights
             if (this.campfireLight) {
-                this.campfireLight.intensity = 0.8 + Math.sin(Date.now() * 0.01) * 0.3;
+                this.campfireLight.intensity = blackout ? 0.05 :
+                    (0.8 + Math.sin(Date.now() * 0.01) * 0.3) * (1 - this.atmosphere * 0.4);
             }
             
             if (this.cabinLights) {
                 for (const light of this.cabinLights) {
-                    light.intensity = 0.4 + Math.random() * 0.2;
+                    light.intensity = blackout || Math.random() < dropoutChance ? 0 : 0.4 + Math.random() * 0.2;
                 }
             }
         } catch (error) {
@@ -958,6 +1015,46 @@ export class Environment {
         // Old collisionObjects logic is removed.
     }
     
+    setupModelTerrainAreas(model) {
+        // Meshes named like roads/paths/bridges/water in the GLB become navigation cost areas
+        const layerNames = { road: 'road', path: 'road', trail: 'road', bridge: 'bridge', water: 'water', lake: 'water' };
+        model.updateMatrixWorld(true);
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const name = child.name.toLowerCase();
+            const key = Object.keys(layerNames).find(k => name.includes(k));
+            if (!key) return;
+
+            const bounds = new THREE.Box3().setFromObject(child);
+            this.terrainAreas.push({
+                layer: layerNames[key],
+                lowerBound: { x: bounds.min.x, y: bounds.min.y - 0.5, z: bounds.min.z },
+                upperBound: { x: bounds.max.x, y: bounds.max.y + 0.5, z: bounds.max.z }
+            });
+        });
+    }
+
+    setupModelChokepoints(model) {
+        // Doors and gates in the GLB are chokepoints, as are both ends of its bridges
+        model.updateMatrixWorld(true);
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const name = child.name.toLowerCase();
+            if (!['door', 'gate', 'bridge'].some(k => name.includes(k))) return;
+
+            const bounds = new THREE.Box3().setFromObject(child);
+            const center = bounds.getCenter(new THREE.Vector3());
+            center.y = bounds.min.y;
+            if (!name.includes('bridge')) {
+                this.chokepoints.push(center);
+                return;
+            }
+            const size = bounds.getSize(new THREE.Vector3());
+            const along = size.x >= size.z ? new THREE.Vector3(size.x / 2 + 1, 0, 0) : new THREE.Vector3(0, 0, size.z / 2 + 1);
+            this.chokepoints.push(center.clone().add(along), center.clone().sub(along));
+        });
+    }
+    
     setupCampgroundHidingSpots() {
         // Predefined hiding spots for campground
         this.hidingSpots = [
@@ -998,10 +1095,22 @@ export class Environment {
         return this.collisionObjects;
     }
     
+    getTerrainAreas() {
+        return this.terrainAreas;
+    }
+    
+    getMapId() {
+        return this.mapId;
+    }
+    
     getHidingSpots() {
         return this.hidingSpots;
     }
     
+    getChokepoints() {
+        return this.chokepoints;
+    }
+    
     getRandomSpawnPoint() {
         if (this.spawnPoints.length > 0) {
             return this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
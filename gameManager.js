@@ -1,9 +1,27 @@
+import * as THREE from 'three';
+import { AI_DIFFICULTIES, DEFAULT_AI_DIFFICULTY } from './aiDifficulty.js';
+import { AISquad } from './aiSquad.js';
+import { NoiseEventStream, noiseFromMessage } from './noiseEvents.js';
+import { AIDirector, SCARE_FEAR } from './aiDirector.js';
+import { BotHiderTeam, isBotId } from './botHider.js';
+import { clearResumeToken, hashResumeToken, issueSessions, loadResumeToken, resumeSession, saveResumeToken, updateReservations } from './sessionResume.js';
+import { electHost } from './hostElection.js';
+import { MESSAGE_PROTOCOL_VERSION, createMessage, isCompatibleProtocol, validateMessage } from './messageSchema.js';
+
+const AI_SNAPSHOT_INTERVAL = 100; // ms between aiState broadcasts from the host
+const HUMAN_CATCH_DISTANCE = 2.5; // How close a human seeker has to be to catch someone with the interact key
+const MIN_ROUND_PLAYERS = 2; // Humans plus bots needed to start a round, offline a lone hider is enough
+const AUTO_START_SECONDS = 10; // Lobby countdown once there are enough players, to let more join
+const RESULTS_SECONDS = 15; // How long the end screen shows before the host goes back to the lobby
+
 export class GameManager {
-    constructor(room, player, aiSeeker, environment) {
+    constructor(room, player, aiSquad, environment, audioManager = null, botHiders = null) {
         this.room = room;
         this.player = player;
-        this.aiSeeker = aiSeeker;
+        this.aiSquad = aiSquad;
         this.environment = environment;
+        this.audioManager = audioManager;
+        this.botHiders = botHiders || new BotHiderTeam(aiSquad.scene, environment, aiSquad.world);
         
         this.gameState = {
             phase: 'lobby',
@@ -16,35 +34,98 @@ export class GameManager {
             survivors: [],
             roundNumber: 1,
             winningTeam: null,
-            winnersList: []
+            winnersList: [],
+            aiDifficulty: DEFAULT_AI_DIFFICULTY, // Chosen by the host in the lobby, see aiDifficulty.js
+            aiSeekerCount: 0, // Host setting, 0 = scale with the number of hiders
+            aiAssist: true, // Whether AI seekers join rounds that have human seekers
+            activeAISeekers: 1, // AI seekers in the current round, see AISquad.resolveSeekerCount()
+            botHiderFill: 4, // Host setting, rounds are topped up with bot hiders to this many players (0 = off)
+            bots: [], // Bot hiders in the current round, see BotHiderTeam.createRoster()
+            sessions: [], // [{ clientId, tokenHash }] for every human in the round, see sessionResume.js
+            reservedSlots: [], // Slots of players who dropped out, kept for them until the grace window ends
+            hostId: null // Client that runs the timers and simulates the AI seekers
         };
+        // Offline the point is hiding from the AI, which a lone player only does without bots (see assignRoles)
+        if (room.offline) this.gameState.botHiderFill = 0;
         
         this.isHost = false;
+        this.joinedAt = null; // Set by joinGame(), only players in the game can be elected host
+        this.phaseDeadline = null; // Host: Date.now() the current phase's timer runs out, see setPhaseTimer()
+        this.lastAISnapshotTime = 0;
+        this.aiSnapshotSequence = 0;
+        this.lastReceivedAISequence = -1;
+        this.lastAISender = null;
         this.lastUpdateTime = Date.now();
         this.errorCount = 0;
         this.maxErrors = 10;
+        this.lastKnownPositions = {}; // Host: clientId -> last presence position, for reserved slots
+        this.rejectedMessageKeys = new Set(); // Problems with inbound messages already reported, see rejectMessage()
+        this.messageListeners = []; // Room message handlers outside GameManager, see onMessage()
+        
+        // The seekers broadcast their catches through the room
+        if (this.aiSquad) this.aiSquad.setRoom(room);
+        
+        // Footsteps, jumps, screams etc. from every client, for the AI to hear
+        this.noiseEvents = new NoiseEventStream();
+        if (this.aiSquad) this.aiSquad.setNoiseEvents(this.noiseEvents);
+        if (this.player) this.player.noiseEvents = this.noiseEvents;
+        
+        // Paces the round: AI aggression, atmosphere and scripted scares
+        this.director = new AIDirector(room, environment, audioManager, aiSquad);
+        if (this.player) this.player.aiSquad = aiSquad; // Fear rises near the AI seekers too
+        if (this.player) this.player.onInteract = () => this.tryCatch();
         
         this.setupEventListeners();
         this.setupUI();
     }
     
     setupEventListeners() {
-        // Network events
+        // Network events are validated once here (see messageSchema.js); only then do they reach whichever
+        // handler was on the room first, handleNetworkEvent() and the onMessage() listeners
+        const previousOnMessage = this.room.onmessage;
         this.room.onmessage = (event) => {
-            this.handleNetworkEvent(event.data);
+            const data = event.data;
+            const invalid = validateMessage(data);
+            if (invalid) {
+                this.rejectMessage(data, invalid);
+                return;
+            }
+            if (typeof previousOnMessage === 'function') previousOnMessage(event);
+            this.handleNetworkEvent(data);
+            for (const callback of this.messageListeners) callback(data);
         };
         
         this.room.subscribeRoomState((roomState) => {
             if (roomState.gameState) {
                 this.gameState = { ...this.gameState, ...roomState.gameState };
+                if (this.gameState.hostId && this.room.clientId) {
+                    this.isHost = this.gameState.hostId === this.room.clientId;
+                    if (!this.isHost) this.phaseDeadline = null;
+                }
+                this.applyAIDifficulty();
+                this.botHiders.setRoster(this.gameState.bots);
+                if (!this.isHost) this.aiSquad.setSeekerCount(this.gameState.activeAISeekers);
+                this.forgetFinishedResumeToken();
+                this.checkHost();
                 this.updateUI();
             }
         });
         
+        // The host hands out resume tokens privately, see issueResumeTokens()
+        this.room.subscribePresenceUpdateRequests((request, fromClientId) => {
+            this.handlePresenceUpdateRequest(request, fromClientId);
+        });
+        
         this.room.subscribePresence((presence) => {
             this.updatePlayerList(presence);
+            this.checkHost();
         });
         
+        // Self-hosted rooms reconnect on their own (see roomTransport.js); once back, reclaim our slot
+        if (typeof this.room.subscribeConnection === 'function') {
+            this.room.subscribeConnection((status) => this.handleConnectionStatus(status));
+        }
+        
         // UI events
         document.getElementById('joinGameBtn')?.addEventListener('click', () => {
             this.joinGame();
@@ -54,9 +135,34 @@ export class GameManager {
             // location.reload(); // Old behavior
             this.requestRestartGame(); // New behavior
         });
+
+        document.getElementById('aiDifficultySelect')?.addEventListener('change', (event) => {
+            this.setAIDifficulty(event.target.value);
+        });
+        
+        document.getElementById('aiSeekerCountSelect')?.addEventListener('change', (event) => {
+            this.setAISeekerSettings(parseInt(event.target.value, 10), this.gameState.aiAssist);
+        });
+        
+        document.getElementById('aiAssistToggle')?.addEventListener('change', (event) => {
+            this.setAISeekerSettings(this.gameState.aiSeekerCount, event.target.checked);
+        });
+        
+        document.getElementById('botHiderFillSelect')?.addEventListener('change', (event) => {
+            this.setBotHiderFill(parseInt(event.target.value, 10));
+        });
     }
     
     setupUI() {
+        const difficultySelect = document.getElementById('aiDifficultySelect');
+        if (difficultySelect) {
+            for (const [id, preset] of Object.entries(AI_DIFFICULTIES)) {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = preset.label;
+                difficultySelect.appendChild(option);
+            }
+        }
         this.updateUI();
         setInterval(() => this.updateTimer(), 1000);
     }
@@ -65,6 +171,14 @@ export class GameManager {
         try {
             await this.room.initialize();
             
+            // Only play alongside the same version of the game, see messageSchema.js
+            const hostId = electHost(this.room.peers, this.room.presence, this.gameState.hostId);
+            if (hostId && hostId !== this.room.clientId && !isCompatibleProtocol(this.room.presence[hostId])) {
+                const theirs = this.room.presence[hostId]?.protocolVersion ?? 'unknown';
+                this.showNotification(`This room runs a different version of the game (protocol ${theirs}, yours is ${MESSAGE_PROTOCOL_VERSION}). Refresh to update.`, 'error');
+                return;
+            }
+            
             const menu = document.getElementById('menu');
             const ui = document.getElementById('ui');
             const crosshair = document.getElementById('crosshair');
@@ -77,22 +191,24 @@ export class GameManager {
             if (instructions) instructions.classList.remove('hidden');
             if (loadingScreen) loadingScreen.classList.add('hidden');
             
-            // Check if we're the first player (host)
-            const playerCount = Object.keys(this.room.peers).length;
-            if (playerCount === 1) {
-                this.isHost = true;
-                this.startLobby();
-            }
-            
             // Update player presence
+            if (this.joinedAt === null) this.joinedAt = Date.now();
             this.player.room = this.room;
             this.room.updatePresence({
                 role: 'waiting',
                 state: 'lobby',
                 position: this.player.getPosition(),
-                isAlive: true
+                isAlive: true,
+                joinedAt: this.joinedAt, // Host election goes by who joined first, see hostElection.js
+                protocolVersion: MESSAGE_PROTOCOL_VERSION
             });
             
+            // Host the game if nobody else is
+            this.checkHost();
+            
+            // Back after a reload mid-round
+            this.requestResume();
+            
         } catch (error) {
             console.error('Failed to join game:', error);
             this.showNotification('Failed to join game. Please try again.', 'error');
@@ -101,6 +217,8 @@ export class GameManager {
     
     handleNetworkEvent(data) {
         try {
+            this.noiseEvents.emit(noiseFromMessage(data));
+            
             switch (data.type) {
                 case 'connected':
                     this.addChatMessage(`${data.username} joined the game`, 'system');
@@ -116,7 +234,7 @@ export class GameManager {
                     break;
                     
                 case 'gameStart':
-                    this.startGame();
+                    // The host started the round already, its own echo must not start another one
                     this.showNotification('Game Starting!', 'info');
                     break;
                     
@@ -128,8 +246,31 @@ export class GameManager {
                     this.handlePlayerCaught(data);
                     break;
                     
-                case 'gameEnd':
-                    this.endGame(data.winners);
+                case 'aiState':
+                    this.handleAIState(data);
+                    break;
+                    
+                case 'hiderDiscovered':
+                    this.handleHiderDiscovered(data);
+                    break;
+                    
+                case 'resumeSession':
+                    if (this.isHost) this.handleResumeSession(data);
+                    break;
+                    
+                case 'sessionResumed':
+                    this.handleSessionResumed(data);
+                    break;
+                    
+                case 'requestRestart':
+                    // A player skipping the end screen, see requestRestartGame()
+                    if (this.isHost && this.gameState.phase === 'ended') this.restartGame();
+                    break;
+                    
+                case 'directorScare':
+                    if (this.director.handleScare(data, this.room.clientId) && this.player) {
+                        this.player.fear = Math.min(100, this.player.fear + SCARE_FEAR);
+                    }
                     break;
             }
         } catch (error) {
@@ -142,11 +283,32 @@ export class GameManager {
         }
     }
     
+    // Room messages that passed validation, for handlers outside GameManager (main.js)
+    onMessage(callback) {
+        this.messageListeners.push(callback);
+    }
+    
+    // Drops a message that doesn't match messageSchema.js, logging each problem once per sender. Messages from
+    // another version of the game also tell the player, since nothing that client does will show up.
+    rejectMessage(data, { reason, versionMismatch }) {
+        const senderId = data?.clientId || 'unknown';
+        const key = `${senderId}:${versionMismatch ? 'version' : data?.type}`;
+        if (this.rejectedMessageKeys.has(key)) return;
+        this.rejectedMessageKeys.add(key);
+        
+        console.warn(`Ignoring '${data?.type}' message from ${senderId}: ${reason}`);
+        if (versionMismatch) {
+            const name = data.username || this.room.peers[senderId]?.username || 'A player';
+            this.showNotification(`${name} is on a different version of the game. Everyone should refresh.`, 'warning');
+        }
+    }
+    
     startLobby() {
         this.gameState.phase = 'lobby';
-        this.gameState.timer = 0;
+        this.setPhaseTimer(0);
         
         if (this.isHost) {
+            this.gameState.hostId = this.room.clientId;
             this.room.updateRoomState({
                 gameState: this.gameState
             });
@@ -156,22 +318,37 @@ export class GameManager {
         }
     }
     
+    // Host: starts the lobby countdown once there are enough players for a round. updatePhaseTimer() starts
+    // the round when it runs out, or calls it off if players leave.
     checkAutoStart() {
-        const playerCount = Object.keys(this.room.peers).length;
-        if (playerCount >= 2) {
-            setTimeout(() => {
-                if (Object.keys(this.room.peers).length >= 2) {
-                    this.startGame();
-                }
-            }, 10000); // 10 seconds to let more players join
+        if (!this.isHost || this.gameState.phase !== 'lobby' || this.phaseDeadline !== null) return;
+        if (this.getRoundPlayerCount() >= this.getMinRoundPlayers()) {
+            this.setPhaseTimer(AUTO_START_SECONDS);
         }
     }
     
+    // (Re)arms the current phase's countdown. The deadline only lives on the host, everyone else sees the
+    // seconds left in gameState.timer, which is what a new host re-arms it from (see becomeHost()).
+    setPhaseTimer(seconds) {
+        this.gameState.timer = seconds;
+        this.phaseDeadline = seconds > 0 ? Date.now() + seconds * 1000 : null;
+    }
+    
+    getMinRoundPlayers() {
+        return this.room.offline ? 1 : MIN_ROUND_PLAYERS;
+    }
+    
+    // Peers plus the bot hiders that would fill the round
+    getRoundPlayerCount() {
+        const humanCount = Object.keys(this.room.peers).length;
+        return humanCount + BotHiderTeam.resolveBotCount(this.gameState.botHiderFill, humanCount);
+    }
+    
     startGame() {
         if (!this.isHost) return;
         
         this.gameState.phase = 'hiding';
-        this.gameState.timer = this.gameState.hideTime;
+        this.setPhaseTimer(this.gameState.hideTime);
         this.gameState.roundNumber = (this.gameState.roundNumber || 0) + 1;
         
         // Assign roles
@@ -185,15 +362,9 @@ export class GameManager {
             gameState: this.gameState
         });
         
-        this.room.send({
-            type: 'gameStart',
+        this.room.send(createMessage('gameStart', {
             gameState: this.gameState
-        });
-        
-        // Start hide phase timer
-        setTimeout(() => {
-            this.startSeekingPhase();
-        }, this.gameState.hideTime * 1000);
+        }));
     }
     
     assignRoles() {
@@ -203,9 +374,21 @@ export class GameManager {
         // Shuffle players
         const shuffled = [...players].sort(() => Math.random() - 0.5);
         
-        this.gameState.hiders = shuffled.slice(0, hiderCount);
-        this.gameState.seekers = shuffled.slice(hiderCount);
+        // Top up small lobbies with bot hiders. Bots only ever hide, so with bots a lone player seeks.
+        this.gameState.bots = BotHiderTeam.createRoster(BotHiderTeam.resolveBotCount(this.gameState.botHiderFill, players.length));
+        this.botHiders.setRoster(this.gameState.bots);
+        const botIds = this.gameState.bots.map(bot => bot.id);
+        
+        if (botIds.length > 0) {
+            this.gameState.hiders = [...shuffled.slice(1), ...botIds];
+            this.gameState.seekers = shuffled.slice(0, 1);
+        } else {
+            this.gameState.hiders = shuffled.slice(0, hiderCount);
+            this.gameState.seekers = shuffled.slice(hiderCount);
+        }
         this.gameState.survivors = [...this.gameState.hiders];
+        this.gameState.reservedSlots = [];
+        this.issueResumeTokens(players);
         
         // Update individual player roles
         for (const playerId of players) {
@@ -223,6 +406,7 @@ export class GameManager {
         
         for (let i = 0; i < this.gameState.hiders.length; i++) {
             const playerId = this.gameState.hiders[i];
+            if (isBotId(playerId)) continue;
             const position = hidePositions[i % hidePositions.length];
             
             this.room.requestPresenceUpdate(playerId, {
@@ -230,6 +414,9 @@ export class GameManager {
             });
         }
         
+        // Bots start around the camp and go looking for a spot themselves
+        this.botHiders.spawnAll();
+        
         // Position seekers at the center (initially locked)
         const centerPosition = new THREE.Vector3(0, 2, 0);
         for (const playerId of this.gameState.seekers) {
@@ -244,7 +431,7 @@ export class GameManager {
         if (!this.isHost) return;
         
         this.gameState.phase = 'seeking';
-        this.gameState.timer = this.gameState.maxTime;
+        this.setPhaseTimer(this.gameState.maxTime);
         
         // Release seekers
         for (const playerId of this.gameState.seekers) {
@@ -253,25 +440,23 @@ export class GameManager {
             });
         }
         
-        // Start AI seeker if no human seekers
-        if (this.gameState.seekers.length === 0) {
-            this.aiSeeker.state = 'patrolling';
-        }
+        // Bring in the AI seekers: on their own when nobody plays seeker, alongside humans when assist is on
+        this.gameState.activeAISeekers = AISquad.resolveSeekerCount(
+            this.gameState.aiSeekerCount,
+            this.gameState.hiders.length,
+            this.gameState.seekers.length,
+            this.gameState.aiAssist
+        );
+        this.aiSquad.setSeekerCount(this.gameState.activeAISeekers);
         
         this.room.updateRoomState({
             gameState: this.gameState
         });
         
-        this.room.send({
-            type: 'phaseChange',
+        this.room.send(createMessage('phaseChange', {
             phase: 'seeking',
             gameState: this.gameState
-        });
-        
-        // Start seeking phase timer
-        // setTimeout(() => { // This will be handled by checkWinConditions based on timer
-        //     this.endGame(this.gameState.survivors);
-        // }, this.gameState.maxTime * 1000);
+        }));
     }
     
     handlePlayerCaught(data) {
@@ -279,6 +464,8 @@ export class GameManager {
         
         // Remove from survivors
         this.gameState.survivors = this.gameState.survivors.filter(id => id !== playerId);
+        this.aiSquad.handlePlayerCaught(playerId);
+        this.botHiders.handlePlayerCaught(playerId);
         
         this.addChatMessage(`Player was caught!`, 'system');
         
@@ -294,6 +481,42 @@ export class GameManager {
         }
     }
     
+    // An AI seeker inspecting a hiding spot found this client's player: drag them out into the open
+    handleHiderDiscovered(data) {
+        if (isBotId(data.playerId)) {
+            if (this.isHost) this.botHiders.handleDiscovered(data.playerId, data.seekerPosition);
+            return;
+        }
+        if (data.playerId !== this.room.clientId || !this.player || !this.player.isHiding) return;
+        this.player.unhide();
+        this.player.fear = 100;
+        this.showNotification('You\'ve been found! RUN!', 'error');
+    }
+    
+    // Interact key for human seekers: catches the closest hider (human or bot) in reach
+    tryCatch() {
+        if (this.gameState.phase !== 'seeking' || !this.gameState.seekers.includes(this.room.clientId)) return false;
+        const position = this.player.getPosition();
+        let closest = null;
+        let closestDistance = HUMAN_CATCH_DISTANCE;
+        for (const target of this.getActivePlayers()) {
+            if (target.isHiding || !this.gameState.survivors.includes(target.id)) continue;
+            const distance = position.distanceTo(target.position);
+            if (distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        }
+        if (!closest) return false;
+        
+        this.room.send(createMessage('playerCaught', {
+            playerId: closest.id,
+            position: { x: closest.position.x, y: closest.position.y, z: closest.position.z },
+            caughtBy: this.room.clientId
+        }));
+        return true;
+    }
+    
     endGame(winningTeam) { // winningTeam is "seekers" or "hiders"
         if (this.gameState.phase === 'ended') return; // Prevent multiple calls
         if (!this.isHost) {
@@ -308,28 +531,20 @@ export class GameManager {
 
         let winnersListNames = [];
         if (winningTeam === 'hiders') {
-            winnersListNames = this.gameState.survivors.map(id => this.room.peers[id]?.username || `Player ${id.substring(0,4)}`);
+            winnersListNames = this.gameState.survivors.map(id => this.room.peers[id]?.username || this.botHiders.getName(id) || `Player ${id.substring(0,4)}`);
         } else if (winningTeam === 'seekers') {
             winnersListNames = this.gameState.seekers.map(id => this.room.peers[id]?.username || `Player ${id.substring(0,4)}`);
-             if (winnersListNames.length === 0 && this.aiSeeker) { // Check if AI was the only seeker
+             if (winnersListNames.length === 0 && this.aiSquad) { // Check if AI was the only seeker
                 winnersListNames.push("The Horse Head Demon");
             }
         }
         this.gameState.winnersList = winnersListNames;
+        this.setPhaseTimer(RESULTS_SECONDS); // Back to the lobby when it runs out
 
-        const gameStateUpdate = {
-            type: 'gameStateUpdate',
-            gameState: this.gameState
-        };
-        this.room.send(gameStateUpdate); // Inform all clients of the final game state
-        this.room.updateRoomState(this.gameState); // Host updates authoritative room state
+        this.room.send(createMessage('gameStateUpdate', { gameState: this.gameState })); // Inform all clients of the final game state
+        this.room.updateRoomState({ gameState: this.gameState }); // Host updates authoritative room state
         
         this.showGameResults(winningTeam, winnersListNames);
-        
-        // Auto-restart lobby after delay
-        setTimeout(() => {
-            if (this.isHost) this.restartGame(); // Host initiates restart
-        }, 15000);
     }
     
     showGameResults(winningTeam, winnersList) {
@@ -376,7 +591,7 @@ export class GameManager {
             this.restartGame();
         } else {
             // Clients can request host to restart, or button is disabled for non-hosts
-            this.room.send({ type: 'requestRestart' });
+            this.room.send(createMessage('requestRestart'));
             this.showNotification("Requesting host to restart the game...", "info");
         }
     }
@@ -389,10 +604,14 @@ export class GameManager {
         console.log("Restarting game / Returning to lobby...");
 
         this.gameState.phase = 'lobby';
-        this.gameState.timer = 0;
+        this.setPhaseTimer(0);
         this.gameState.hiders = [];
         this.gameState.seekers = [];
         this.gameState.survivors = [];
+        this.gameState.bots = [];
+        this.gameState.sessions = [];
+        this.gameState.reservedSlots = [];
+        this.botHiders.setRoster([]);
         this.gameState.winningTeam = null;
         this.gameState.winnersList = [];
         // Consider if roundNumber should reset or persist for multiple rounds
@@ -416,8 +635,7 @@ export class GameManager {
         // Player positions should be reset when new game starts (in positionPlayers)
         // If player has a respawn method:
         // this.player.respawn();
-        // this.aiSeeker.setPosition(new THREE.Vector3(0, 2, 0)); // Reset AI too
-        // this.aiSeeker.state = 'idle';
+        // this.aiSquad.resetPositions(); // Reset AI too
 
         this.startLobby(); // This will send updates and check for auto-start if host
     }
@@ -500,12 +718,65 @@ export class GameManager {
         }
     }
     
+    // Host only, and only between rounds so a seeker never changes behaviour mid-hunt
+    setAIDifficulty(id) {
+        if (!this.isHost || this.gameState.phase !== 'lobby' || !AI_DIFFICULTIES[id]) {
+            this.updateUI(); // Put the select back to the synced value
+            return;
+        }
+        this.gameState.aiDifficulty = id;
+        this.applyAIDifficulty();
+        this.room.updateRoomState({
+            gameState: this.gameState
+        });
+        this.updateUI();
+    }
+
+    applyAIDifficulty() {
+        if (this.aiSquad) {
+            this.aiSquad.setDifficulty(this.gameState.aiDifficulty);
+        }
+    }
+    
+    // Host only, lobby only. count = 0 scales the AI seekers with the hider count.
+    setAISeekerSettings(count, assist) {
+        if (!this.isHost || this.gameState.phase !== 'lobby' || !(count >= 0)) {
+            this.updateUI();
+            return;
+        }
+        this.gameState.aiSeekerCount = count;
+        this.gameState.aiAssist = !!assist;
+        this.room.updateRoomState({
+            gameState: this.gameState
+        });
+        this.updateUI();
+    }
+
+    setBotHiderFill(fill) {
+        if (!this.isHost || this.gameState.phase !== 'lobby' || !(fill >= 0)) {
+            this.updateUI();
+            return;
+        }
+        this.gameState.botHiderFill = fill;
+        this.room.updateRoomState({
+            gameState: this.gameState
+        });
+        this.updateUI();
+        this.checkAutoStart(); // A lone host can start as soon as bots are allowed
+    }
+
     updateUI() {
         const gamePhase = document.getElementById('gamePhase');
         const timer = document.getElementById('timer');
         const playerCount = document.getElementById('playerCount');
         const playerRole = document.getElementById('playerRole');
         
+        const difficultyPanel = document.getElementById('aiDifficultyPanel');
+        const difficultySelect = document.getElementById('aiDifficultySelect');
+        const seekerCountSelect = document.getElementById('aiSeekerCountSelect');
+        const assistToggle = document.getElementById('aiAssistToggle');
+        const botFillSelect = document.getElementById('botHiderFillSelect');
+        
         if (gamePhase) gamePhase.textContent = this.gameState.phase;
         if (timer) timer.textContent = this.formatTime(this.gameState.timer);
         if (playerCount) playerCount.textContent = Object.keys(this.room.presence).length;
@@ -516,19 +787,156 @@ export class GameManager {
             playerRole.textContent = myPresence.role;
             playerRole.className = `role-${myPresence.role}`;
         }
+        
+        // Everyone sees the chosen difficulty in the lobby, only the host can change it
+        if (difficultyPanel) difficultyPanel.classList.toggle('hidden', this.gameState.phase !== 'lobby');
+        if (difficultySelect) {
+            difficultySelect.value = this.gameState.aiDifficulty;
+            difficultySelect.disabled = !this.isHost;
+        }
+        if (seekerCountSelect) {
+            seekerCountSelect.value = String(this.gameState.aiSeekerCount);
+            seekerCountSelect.disabled = !this.isHost;
+        }
+        if (assistToggle) {
+            assistToggle.checked = this.gameState.aiAssist;
+            assistToggle.disabled = !this.isHost;
+        }
+        if (botFillSelect) {
+            botFillSelect.value = String(this.gameState.botHiderFill);
+            botFillSelect.disabled = !this.isHost;
+        }
     }
     
     updateTimer() {
-        if (this.gameState.phase === 'hiding' || this.gameState.phase === 'seeking') {
-            if (this.isHost) {
-                this.gameState.timer = Math.max(0, this.gameState.timer - 1);
-                this.room.updateRoomState({
-                    gameState: this.gameState
-                });
+        if (this.isHost) this.updatePhaseTimer();
+        this.updateUI();
+    }
+    
+    // Host, once a second: counts the current phase down from its deadline and moves the round on when it
+    // runs out. Counting from the deadline keeps the clock right however late the interval fires.
+    updatePhaseTimer() {
+        const phase = this.gameState.phase;
+        if (phase === 'lobby') {
+            if (this.phaseDeadline !== null && this.getRoundPlayerCount() < this.getMinRoundPlayers()) {
+                this.setPhaseTimer(0); // Players left during the countdown
+                this.room.updateRoomState({ gameState: this.gameState });
             }
+            this.checkAutoStart();
         }
+        if (phase === 'hiding' || phase === 'seeking') this.updateReservedSlots();
+        if (this.phaseDeadline === null) return;
         
-        this.updateUI();
+        this.gameState.timer = Math.max(0, Math.ceil((this.phaseDeadline - Date.now()) / 1000));
+        if (this.gameState.timer > 0) {
+            this.room.updateRoomState({ gameState: this.gameState });
+            return;
+        }
+        
+        this.phaseDeadline = null;
+        switch (phase) {
+            case 'lobby':
+                this.startGame();
+                break;
+            case 'hiding':
+                this.startSeekingPhase();
+                break;
+            case 'seeking':
+                this.checkWinConditions(); // Time's up
+                break;
+            case 'ended':
+                this.restartGame();
+                break;
+        }
+    }
+    
+    // Host: keeps the slots of players who dropped out for a while, see sessionResume.js
+    updateReservedSlots() {
+        for (const { clientId } of this.gameState.sessions) {
+            const position = this.room.presence[clientId]?.position;
+            if (position) this.lastKnownPositions[clientId] = { x: position.x, y: position.y, z: position.z };
+        }
+        
+        const reservedBefore = this.gameState.reservedSlots.length;
+        const { expired } = updateReservations(this.gameState, this.room.peers, this.lastKnownPositions);
+        if (this.gameState.reservedSlots.length > reservedBefore) {
+            this.addChatMessage('A player lost their connection, holding their place...', 'system');
+        }
+        for (const clientId of expired) {
+            this.aiSquad.forgetPlayer(clientId);
+            delete this.lastKnownPositions[clientId];
+            this.addChatMessage('A disconnected player didn\'t make it back in time', 'system');
+        }
+    }
+    
+    // Asks the host for our old slot back, if we had one this round
+    requestResume() {
+        const token = loadResumeToken();
+        if (token) this.room.send(createMessage('resumeSession', { token }));
+    }
+    
+    // Host: gives every human in a new round a resume token. The room state only gets the hashes (published
+    // with the rest of the round by startGame()), each token goes to its own player (see
+    // handlePresenceUpdateRequest()).
+    issueResumeTokens(playerIds) {
+        const issued = issueSessions(playerIds);
+        this.gameState.sessions = issued.map(({ clientId, tokenHash }) => ({ clientId, tokenHash }));
+        for (const { clientId, token } of issued) {
+            if (clientId === this.room.clientId) saveResumeToken(token);
+            else this.room.requestPresenceUpdate(clientId, { type: 'resumeToken', token });
+        }
+    }
+    
+    // Keeps the resume token the host sent us for requestResume()
+    handlePresenceUpdateRequest(request, fromClientId) {
+        if (!request || request.type !== 'resumeToken' || typeof request.token !== 'string') return;
+        if (fromClientId !== this.gameState.hostId) return; // Only the host hands out tokens
+        saveResumeToken(request.token);
+    }
+    
+    // A token is only good for the round it was issued in
+    forgetFinishedResumeToken() {
+        if (this.gameState.phase === 'lobby' || this.gameState.phase === 'ended') clearResumeToken();
+    }
+    
+    handleResumeSession(data) {
+        const resumed = resumeSession(this.gameState, hashResumeToken(data.token), data.clientId);
+        if (!resumed) return;
+        const position = resumed.position || this.lastKnownPositions[resumed.oldClientId] || null;
+        delete this.lastKnownPositions[resumed.oldClientId];
+        this.aiSquad.forgetPlayer(resumed.oldClientId);
+        
+        this.room.updateRoomState({ gameState: this.gameState });
+        this.room.send(createMessage('sessionResumed', { playerId: data.clientId, position }));
+    }
+    
+    handleSessionResumed(data) {
+        const name = this.room.peers[data.playerId]?.username || 'A player';
+        this.addChatMessage(`${name} reconnected`, 'system');
+        if (data.playerId !== this.room.clientId) return;
+        if (data.position && this.player) this.player.setPosition(data.position);
+        this.showNotification('Reconnected, you\'re back in the round!', 'success');
+    }
+    
+    handleConnectionStatus(status) {
+        switch (status) {
+            case 'reconnecting':
+                this.showNotification('Connection lost, reconnecting...', 'warning');
+                break;
+            case 'connected':
+                // Back under a new client id, so no longer the host. Keep our place in the host election.
+                this.isHost = this.gameState.hostId === this.room.clientId;
+                if (!this.isHost) this.phaseDeadline = null;
+                if (this.joinedAt !== null) {
+                    this.room.updatePresence({ joinedAt: this.joinedAt, protocolVersion: MESSAGE_PROTOCOL_VERSION });
+                }
+                this.requestResume();
+                this.checkHost();
+                break;
+            case 'disconnected':
+                this.showNotification('Could not reconnect. Please refresh.', 'error');
+                break;
+        }
     }
     
     formatTime(seconds) {
@@ -573,13 +981,103 @@ export class GameManager {
         }
     }
     
+    // Takes over as host when the election says so: when nobody hosts yet, or the host has left the room.
+    // Every client runs the same election on the same peers and presence, see hostElection.js.
+    checkHost() {
+        if (this.joinedAt === null || !this.room.clientId || !this.room.peers[this.room.clientId]) return; // Not in the game yet
+        const hostId = electHost(this.room.peers, this.room.presence, this.gameState.hostId);
+        if (hostId === this.room.clientId && !this.isHost) {
+            this.becomeHost();
+        }
+    }
+    
+    becomeHost() {
+        const previousHostId = this.gameState.hostId;
+        this.isHost = true;
+        this.gameState.hostId = this.room.clientId;
+        
+        // A round nobody is left in (the room state outlived everyone who played it) starts over. Resume tokens
+        // are forgotten when a round ends, so holding one means we played in this one.
+        const roundInProgress = [...this.gameState.hiders, ...this.gameState.seekers].some(id => this.room.peers[id]) ||
+            (this.gameState.sessions.length > 0 && loadResumeToken() !== null);
+        if (!roundInProgress && this.gameState.phase !== 'lobby') {
+            console.log('Hosting the game, starting over in the lobby');
+            this.startLobby();
+            this.updateUI();
+            return;
+        }
+        console.log(previousHostId ? 'Host left, taking over as host' : 'Hosting the game');
+        
+        // Carry on from the seeker and bot state everyone was watching
+        this.aiSquad.takeOverSimulation(this.getActivePlayers());
+        this.botHiders.takeOverSimulation();
+        this.lastAISnapshotTime = 0;
+        
+        // The old host's deadline left with it, pick the phase up from the seconds it last sent
+        if (this.gameState.phase !== 'lobby' || this.gameState.timer > 0) {
+            this.phaseDeadline = Date.now() + this.gameState.timer * 1000;
+        }
+        this.checkAutoStart();
+        
+        this.room.updateRoomState({
+            gameState: this.gameState
+        });
+        if (previousHostId) this.showNotification('You are now the host', 'info');
+        this.updateUI();
+    }
+    
+    // Non-host clients replay the host's seekers instead of simulating their own
+    handleAIState(data) {
+        if (this.isHost || !Array.isArray(data.seekers)) return;
+        if (this.gameState.hostId && data.clientId && data.clientId !== this.gameState.hostId) return; // Stale host
+        if (data.clientId !== this.lastAISender) {
+            this.lastAISender = data.clientId; // New host, its sequence numbers start over
+            this.lastReceivedAISequence = -1;
+        }
+        if (data.seq <= this.lastReceivedAISequence) return; // Out of order
+        this.lastReceivedAISequence = data.seq;
+        this.aiSquad.applySnapshot(data.seekers);
+        this.director.applySnapshot(data.director);
+        this.botHiders.applySnapshot(data.bots);
+    }
+    
+    broadcastAIState() {
+        const now = Date.now();
+        if (now - this.lastAISnapshotTime < AI_SNAPSHOT_INTERVAL) return;
+        this.lastAISnapshotTime = now;
+        this.room.send(createMessage('aiState', {
+            seq: this.aiSnapshotSequence++,
+            seekers: this.aiSquad.getSnapshot(),
+            director: this.director.getSnapshot(),
+            bots: this.botHiders.getSnapshot()
+        }));
+    }
+    
     update(deltaTime) {
         try {
-            // Update AI seeker if active
+            // Only the host simulates the AI seekers, everyone else interpolates their snapshots
             if (this.gameState.phase === 'seeking') {
-                const players = this.getActivePlayers();
-                this.aiSeeker.update(deltaTime, players, this.gameState);
+                if (this.isHost) {
+                    const players = this.getActivePlayers();
+                    this.aiSquad.update(deltaTime, players, this.gameState);
+                    this.director.update(deltaTime, players, this.gameState);
+                    this.botHiders.update(deltaTime, this.getSeekerPositions());
+                    this.broadcastAIState();
+                } else {
+                    this.aiSquad.updateRemote(deltaTime);
+                    this.botHiders.updateRemote(deltaTime);
+                }
+            } else if (this.gameState.phase === 'hiding') {
+                // Bots go and hide while the seekers wait
+                if (this.isHost) {
+                    this.botHiders.update(deltaTime, this.getSeekerPositions());
+                    this.broadcastAIState();
+                } else {
+                    this.botHiders.updateRemote(deltaTime);
+                }
             }
+            if (this.isHost && this.gameState.phase !== 'seeking') this.director.reset();
+            this.director.updateAtmosphere(deltaTime, this.gameState);
             
             // Check win conditions
             this.checkWinConditions();
@@ -620,24 +1118,42 @@ export class GameManager {
                         presence.position.y,
                         presence.position.z
                     ),
+                    rotation: presence.rotation ? presence.rotation.y : 0, // Yaw, players look down -Z
+                    role: presence.role,
+                    isAlive: true,
                     isHiding: presence.isHiding,
+                    hidingSince: presence.hidingSince,
+                    fear: presence.fear,
                     isRunning: presence.isRunning,
                     velocity: presence.velocity || new THREE.Vector3()
                 });
             }
         }
         
+        players.push(...this.botHiders.getPlayers());
         return players;
     }
     
+    // Who the bot hiders listen out for: the AI seekers and every human seeker
+    getSeekerPositions() {
+        const seekers = this.aiSquad.seekers.map(seeker => ({
+            position: seeker.position,
+            running: seeker.state === 'chasing'
+        }));
+        for (const seekerId of this.gameState.seekers) {
+            const presence = this.room.presence[seekerId];
+            if (!presence || !presence.position) continue;
+            seekers.push({
+                position: new THREE.Vector3(presence.position.x, presence.position.y, presence.position.z),
+                running: !!presence.isRunning
+            });
+        }
+        return seekers;
+    }
+    
     checkWinConditions() {
         if (this.gameState.phase !== 'seeking' || !this.isHost) return;
         
-        // Check if time ran out
-        if (this.gameState.timer <= 0) {
-            this.endGame(this.gameState.survivors);
-        }
-        
         // Check if all hiders caught
         if (this.gameState.phase !== 'ended') { // Only check if game hasn't already ended
             if (this.gameState.timer <= 0 && this.gameState.phase === 'seeking') { // Time ran out in seeking phase
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+const STEP_INTERVAL = 0.5; // Seconds between decay/diffusion steps
+const HEAT_KEPT_PER_SECOND = 0.97; // Fraction of heat left after a second without new evidence
+const DIFFUSION_PER_SECOND = 0.1; // Share of a cell's heat that spreads to its neighbours per second (hiders move)
+const MIN_HEAT = 0.01; // Cells below this are dropped
+const SIGHTING_SPREAD_CELLS = 1;
+const NOISE_SPREAD_CELLS = 3; // Noises are vaguer than sightings
+const HIDING_SPOT_PRIOR = 0.15; // Heat of an unchecked hiding spot
+const PRIOR_REGROWTH_SECONDS = 60; // A checked hiding spot becomes suspicious again over this long
+const SEEN_HEAT_KEPT = 0.1; // Fraction of heat left in a cell the seeker looked at and found empty
+const DISTANCE_HALF_SCORE = 30; // Metres at which a destination's score is halved
+const AVOID_RADIUS = 8; // Destinations this close to another seeker's are left to that seeker
+
+// Decaying map of where hiders probably are, over NavigationGrid cells. Sightings and noises add heat,
+// hiding spots keep a small prior, and cells a seeker looks at without seeing anyone cool down. Heat
+// slowly spreads to neighbouring cells to account for hiders moving. Stored sparsely since most of the
+// grid is cold. Shared by an AISquad, so what one seeker learns steers the others.
+export class HiderHeatmap {
+    constructor(navGrid) {
+        this.navGrid = navGrid;
+        this.heat = new Map(); // cell index -> 0..1
+        this.prior = new Map(); // cell index -> prior heat of a hiding spot
+        this.checkedAt = new Map(); // cell index -> Date.now() the cell was last seen empty
+        this.stepTimer = 0;
+    }
+
+    getCellIndex(gx, gy) {
+        return gy * this.navGrid.widthCells + gx;
+    }
+
+    getCellCoords(index) {
+        return { x: index % this.navGrid.widthCells, y: Math.floor(index / this.navGrid.widthCells) };
+    }
+
+    setHidingSpots(spots) {
+        this.prior.clear();
+        for (const spot of spots || []) {
+            const coords = this.navGrid.worldToGridCoordinates(spot);
+            if (coords) this.prior.set(this.getCellIndex(coords.x, coords.y), HIDING_SPOT_PRIOR);
+        }
+    }
+
+    // Current heat of a cell, including the regrowing prior of a hiding spot
+    getHeat(index) {
+        const heat = this.heat.get(index) || 0;
+        const prior = this.prior.get(index);
+        if (!prior) return heat;
+        const checkedAt = this.checkedAt.get(index);
+        const regrowth = checkedAt ? Math.min(1, (Date.now() - checkedAt) / (PRIOR_REGROWTH_SECONDS * 1000)) : 1;
+        return Math.max(heat, prior * regrowth);
+    }
+
+    getHeatAt(position) {
+        const coords = this.navGrid.worldToGridCoordinates(position);
+        return coords ? this.getHeat(this.getCellIndex(coords.x, coords.y)) : 0;
+    }
+
+    addSighting(position, weight = 1) {
+        this.addBlob(position, weight, SIGHTING_SPREAD_CELLS);
+    }
+
+    // intensity: 0..1 from AISeeker.getHeardNoise(), louder noises are more certain
+    addNoise(position, intensity = 0.5) {
+        this.addBlob(position, 0.3 + 0.5 * intensity, NOISE_SPREAD_CELLS);
+    }
+
+    // Raises cells around position towards peak (never lowers them), falling off with distance
+    addBlob(position, peak, spreadCells) {
+        const coords = this.navGrid.worldToGridCoordinates(position);
+        if (!coords) return;
+        const sigma = Math.max(0.75, spreadCells / 2);
+        for (let dx = -spreadCells; dx <= spreadCells; dx++) {
+            for (let dy = -spreadCells; dy <= spreadCells; dy++) {
+                const gx = coords.x + dx;
+                const gy = coords.y + dy;
+                if (gx < 0 || gy < 0 || gx >= this.navGrid.widthCells || gy >= this.navGrid.depthCells) continue;
+                const falloff = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+                const index = this.getCellIndex(gx, gy);
+                const value = peak * falloff;
+                if (value > (this.heat.get(index) || 0)) this.heat.set(index, value);
+            }
+        }
+    }
+
+    update(deltaTime) {
+        this.stepTimer += deltaTime;
+        if (this.stepTimer < STEP_INTERVAL) return;
+        this.step(this.stepTimer);
+        this.stepTimer = 0;
+    }
+
+    step(seconds) {
+        const spread = 1 - Math.pow(1 - DIFFUSION_PER_SECOND, seconds);
+        const kept = Math.pow(HEAT_KEPT_PER_SECOND, seconds);
+        const next = new Map();
+        const add = (index, value) => next.set(index, (next.get(index) || 0) + value);
+
+        for (const [index, value] of this.heat) {
+            const { x, y } = this.getCellCoords(index);
+            const neighbours = [];
+            if (x > 0) neighbours.push(index - 1);
+            if (x < this.navGrid.widthCells - 1) neighbours.push(index + 1);
+            if (y > 0) neighbours.push(index - this.navGrid.widthCells);
+            if (y < this.navGrid.depthCells - 1) neighbours.push(index + this.navGrid.widthCells);
+
+            const share = neighbours.length > 0 ? value * spread / neighbours.length : 0;
+            add(index, value - share * neighbours.length);
+            for (const neighbour of neighbours) add(neighbour, share);
+        }
+
+        this.heat.clear();
+        for (const [index, value] of next) {
+            const decayed = Math.min(1, value * kept);
+            if (decayed >= MIN_HEAT) this.heat.set(index, decayed);
+        }
+    }
+
+    // Cools every cell the seeker can currently see. Hiders it did see are added back by the caller.
+    clearVisible(seeker) {
+        const grid = this.navGrid;
+        const origin = grid.worldToGridCoordinates(seeker.position);
+        if (!origin) return;
+
+        const forward = new THREE.Vector3(Math.sin(seeker.rotation), 0, Math.cos(seeker.rotation));
+        const rangeCells = Math.ceil(seeker.viewDistance / grid.cellSize);
+        const cellCenter = new THREE.Vector3();
+        const toCell = new THREE.Vector3();
+        const now = Date.now();
+
+        for (let dx = -rangeCells; dx <= rangeCells; dx++) {
+            for (let dy = -rangeCells; dy <= rangeCells; dy++) {
+                const gx = origin.x + dx;
+                const gy = origin.y + dy;
+                if (gx < 0 || gy < 0 || gx >= grid.widthCells || gy >= grid.depthCells) continue;
+
+                const center = grid.gridToWorldCoordinates(gx, gy);
+                cellCenter.set(center.x, seeker.position.y, center.z);
+                toCell.subVectors(cellCenter, seeker.position);
+                const distance = toCell.length();
+                if (distance > seeker.viewDistance) continue;
+                if (distance > grid.cellSize && forward.angleTo(toCell) > seeker.viewAngle / 2) continue;
+                if (distance > grid.cellSize && !grid.hasLineOfSight(seeker.position, cellCenter)) continue;
+
+                const index = this.getCellIndex(gx, gy);
+                if (this.heat.has(index)) {
+                    const cooled = this.heat.get(index) * SEEN_HEAT_KEPT;
+                    if (cooled >= MIN_HEAT) this.heat.set(index, cooled);
+                    else this.heat.delete(index);
+                }
+                if (this.prior.has(index)) this.checkedAt.set(index, now);
+            }
+        }
+    }
+
+    // Marks the cells around a position as searched, e.g. when a seeker reaches a search point
+    markChecked(position, radiusCells = 1) {
+        const coords = this.navGrid.worldToGridCoordinates(position);
+        if (!coords) return;
+        const now = Date.now();
+        for (let dx = -radiusCells; dx <= radiusCells; dx++) {
+            for (let dy = -radiusCells; dy <= radiusCells; dy++) {
+                const gx = coords.x + dx;
+                const gy = coords.y + dy;
+                if (gx < 0 || gy < 0 || gx >= this.navGrid.widthCells || gy >= this.navGrid.depthCells) continue;
+                const index = this.getCellIndex(gx, gy);
+                this.heat.delete(index);
+                if (this.prior.has(index)) this.checkedAt.set(index, now);
+            }
+        }
+    }
+
+    // Best cell to search next, trading heat against distance from `from`. Returns
+    // { position: THREE.Vector3 on the nearest walkable node, heat } or null.
+    // options: center + radius to stay near a point, avoid: positions other seekers are heading to,
+    // minHeat: ignore weaker leads.
+    pickDestination(from, options = {}) {
+        const minHeat = options.minHeat ?? MIN_HEAT;
+        const avoid = options.avoid || [];
+        let best = null;
+        let bestScore = 0;
+
+        const consider = (index) => {
+            const heat = this.getHeat(index);
+            if (heat < minHeat) return;
+            const { x, y } = this.getCellCoords(index);
+            const center = this.navGrid.gridToWorldCoordinates(x, y);
+            const position = new THREE.Vector3(center.x, from.y, center.z);
+            if (options.center && position.distanceTo(options.center) > options.radius) return;
+            if (avoid.some(point => point.distanceTo(position) < AVOID_RADIUS)) return;
+
+            const score = heat / (1 + from.distanceTo(position) / DISTANCE_HALF_SCORE);
+            if (score > bestScore) {
+                bestScore = score;
+                best = { x, y, heat };
+            }
+        };
+        for (const index of this.heat.keys()) consider(index);
+        for (const index of this.prior.keys()) {
+            if (!this.heat.has(index)) consider(index);
+        }
+        if (!best) return null;
+
+        const node = this.navGrid.getNearestWalkableNode(best.x, best.y);
+        if (!node) return null;
+        return { position: node.worldPosition.clone(), heat: best.heat };
+    }
+
+    reset() {
+        this.heat.clear();
+        this.checkedAt.clear();
+        this.stepTimer = 0;
+    }
+}
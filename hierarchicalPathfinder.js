@@ -0,0 +1,276 @@
+const DEFAULT_CLUSTER_SIZE = 16; // Cells per cluster side
+const DIRECT_SEARCH_CLUSTER_DISTANCE = 1; // Queries spanning at most this many clusters skip the abstract graph
+const LONG_ENTRANCE_LENGTH = 6; // Border runs at least this long get a portal at each end instead of the middle
+const DEFAULT_REFINE_SEGMENTS = 4; // Abstract hops expanded into cell-by-cell waypoints per long query
+
+// HPA*-style layer over a NavigationGrid for long queries across combined maps.
+// The grid is split into square clusters; walkable runs along each shared border become portal pairs, and
+// routes between the portals of a cluster are searched (bounded to the cluster) the first time they are
+// needed and cached per cost profile. A long query then searches the small portal graph and stitches the
+// cached in-cluster routes together, only running fresh grid searches for the start and end clusters.
+// Grid 'change' events invalidate just the clusters (and borders) they touch.
+export class HierarchicalPathfinder {
+    constructor(navGrid, options = {}) {
+        this.navGrid = navGrid;
+        this.clusterSize = options.clusterSize || DEFAULT_CLUSTER_SIZE;
+        this.clustersX = Math.ceil(navGrid.widthCells / this.clusterSize);
+        this.clustersY = Math.ceil(navGrid.depthCells / this.clusterSize);
+
+        this.borders = new Map(); // "cx,cy,E|N" -> [{ a, b }] portal node pairs (a inside cx,cy)
+        this.dirtyBorders = new Set(); // Border keys to rebuild before the next query
+        this.routeCache = new Map(); // "cx,cy" -> Map(profileKey -> Map(fromNode -> Map(toNode -> route)))
+
+        this.onNavGridChange = (change) => this.invalidateRange(change);
+        this.navGrid.addEventListener('change', this.onNavGridChange);
+        this.invalidateAll();
+    }
+
+    getClusterCoords(node) {
+        return { cx: Math.floor(node.x / this.clusterSize), cy: Math.floor(node.y / this.clusterSize) };
+    }
+
+    getClusterKey(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    getClusterBounds(cx, cy) {
+        return {
+            minX: cx * this.clusterSize,
+            maxX: Math.min(this.navGrid.widthCells, (cx + 1) * this.clusterSize) - 1,
+            minY: cy * this.clusterSize,
+            maxY: Math.min(this.navGrid.depthCells, (cy + 1) * this.clusterSize) - 1
+        };
+    }
+
+    invalidateAll() {
+        this.invalidateRange(this.navGrid.getFullRange());
+    }
+
+    // Drops cached routes of every cluster overlapping a changed cell range and queues their borders for a
+    // rebuild. Neighbouring clusters are included because the border cells they share may have changed.
+    invalidateRange(range) {
+        const minCx = Math.max(0, Math.floor(range.minX / this.clusterSize) - 1);
+        const maxCx = Math.min(this.clustersX - 1, Math.floor(range.maxX / this.clusterSize) + 1);
+        const minCy = Math.max(0, Math.floor(range.minY / this.clusterSize) - 1);
+        const maxCy = Math.min(this.clustersY - 1, Math.floor(range.maxY / this.clusterSize) + 1);
+
+        for (let cx = minCx; cx <= maxCx; cx++) {
+            for (let cy = minCy; cy <= maxCy; cy++) {
+                this.routeCache.delete(this.getClusterKey(cx, cy));
+                if (cx < this.clustersX - 1) this.dirtyBorders.add(`${cx},${cy},E`);
+                if (cy < this.clustersY - 1) this.dirtyBorders.add(`${cx},${cy},N`);
+            }
+        }
+    }
+
+    rebuildDirtyBorders() {
+        if (this.dirtyBorders.size === 0 || this.navGrid.grid.length === 0) return;
+        for (const key of this.dirtyBorders) {
+            const [cx, cy, side] = key.split(',');
+            this.borders.set(key, this.buildBorder(Number(cx), Number(cy), side));
+        }
+        this.dirtyBorders.clear();
+    }
+
+    // Finds the portal pairs on the east (E) or north (N) border of a cluster. Consecutive border cells whose
+    // nodes connect across the border form an entrance; short entrances get one portal in the middle.
+    buildBorder(cx, cy, side) {
+        const bounds = this.getClusterBounds(cx, cy);
+        const crossings = []; // One entry per border cell: array of { a, b } (one per connected level) or null
+        if (side === 'E') {
+            for (let gy = bounds.minY; gy <= bounds.maxY; gy++) {
+                crossings.push(this.findCrossings(bounds.maxX, gy, bounds.maxX + 1, gy));
+            }
+        } else {
+            for (let gx = bounds.minX; gx <= bounds.maxX; gx++) {
+                crossings.push(this.findCrossings(gx, bounds.maxY, gx, bounds.maxY + 1));
+            }
+        }
+
+        const portals = [];
+        let runStart = -1;
+        for (let i = 0; i <= crossings.length; i++) {
+            const open = i < crossings.length && crossings[i] !== null;
+            if (open && runStart === -1) runStart = i;
+            if (open || runStart === -1) continue;
+
+            const runEnd = i - 1;
+            const picks = runEnd - runStart + 1 >= LONG_ENTRANCE_LENGTH
+                ? [runStart, runEnd]
+                : [Math.floor((runStart + runEnd) / 2)];
+            for (const pick of picks) portals.push(...crossings[pick]);
+            runStart = -1;
+        }
+        return portals;
+    }
+
+    findCrossings(ax, ay, bx, by) {
+        const levels = this.navGrid.getCellLevels(ax, ay);
+        if (!levels) return null;
+        const crossings = [];
+        for (const a of levels) {
+            if (!a.walkable) continue;
+            const b = this.navGrid.getConnectedNode(bx, by, a);
+            if (b) crossings.push({ a, b });
+        }
+        return crossings.length > 0 ? crossings : null;
+    }
+
+    // Portal nodes inside a cluster, with the node across the border each one leads to
+    getClusterPortals(cx, cy) {
+        const portals = new Map(); // node -> [nodes across borders]
+        const add = (node, across) => {
+            if (!portals.has(node)) portals.set(node, []);
+            portals.get(node).push(across);
+        };
+        for (const { a, b } of this.borders.get(`${cx},${cy},E`) || []) add(a, b);
+        for (const { a, b } of this.borders.get(`${cx},${cy},N`) || []) add(a, b);
+        for (const { a, b } of this.borders.get(`${cx - 1},${cy},E`) || []) add(b, a);
+        for (const { a, b } of this.borders.get(`${cx},${cy - 1},N`) || []) add(b, a);
+        return portals;
+    }
+
+    // Route between two nodes of the same cluster, searched inside the cluster bounds. Routes between
+    // portals are cached; routes from or to a query's own start/end node are not worth keeping.
+    getClusterRoute(from, to, profile, profileKey, cacheable = true) {
+        const { cx, cy } = this.getClusterCoords(from);
+        if (!cacheable) {
+            return this.navGrid.searchNodes(from, to, { profile, bounds: this.getClusterBounds(cx, cy) });
+        }
+
+        const clusterKey = this.getClusterKey(cx, cy);
+        if (!this.routeCache.has(clusterKey)) this.routeCache.set(clusterKey, new Map());
+        const profiles = this.routeCache.get(clusterKey);
+        if (!profiles.has(profileKey)) profiles.set(profileKey, new Map());
+        const routes = profiles.get(profileKey);
+        if (!routes.has(from)) routes.set(from, new Map());
+        const fromRoutes = routes.get(from);
+
+        if (!fromRoutes.has(to)) {
+            fromRoutes.set(to, this.navGrid.searchNodes(from, to, { profile, bounds: this.getClusterBounds(cx, cy) }));
+        }
+        return fromRoutes.get(to);
+    }
+
+    // Same contract as NavigationGrid.findPath(). Queries between nearby clusters go straight to the grid.
+    // options.refineSegments (default DEFAULT_REFINE_SEGMENTS) limits how many abstract hops are expanded
+    // into cell-by-cell waypoints. The rest of the route is returned as portal positions and the path gets a
+    // refinedLength (count of leading cell-accurate waypoints); the caller re-plans before walking past it.
+    findPath(startWorld, endWorld, options = {}) {
+        const grid = this.navGrid;
+        const endpoints = grid.resolveEndpoints(startWorld, endWorld);
+        if (!endpoints) return null;
+        const { startNode, endNode, endIsExact } = endpoints;
+
+        const startCluster = this.getClusterCoords(startNode);
+        const endCluster = this.getClusterCoords(endNode);
+        const clusterDistance = Math.max(Math.abs(startCluster.cx - endCluster.cx), Math.abs(startCluster.cy - endCluster.cy));
+        if (clusterDistance <= DIRECT_SEARCH_CLUSTER_DISTANCE) {
+            return grid.findPath(startWorld, endWorld, options);
+        }
+
+        this.rebuildDirtyBorders();
+        const profile = grid.resolveCostProfile(options.costProfile);
+        const profileKey = typeof options.costProfile === 'string' ? options.costProfile : JSON.stringify(profile);
+
+        const hops = this.searchAbstract(startNode, endNode, startCluster, endCluster, profile, profileKey);
+        if (!hops) {
+            // Portal placement can miss a route the full grid has (e.g. an entrance only usable diagonally)
+            return grid.findPath(startWorld, endWorld, options);
+        }
+
+        const refineSegments = options.refineSegments !== undefined ? options.refineSegments : DEFAULT_REFINE_SEGMENTS;
+        const nodes = [];
+        let refinedNodeCount = 0;
+        for (let i = 1; i < hops.length; i++) {
+            if (i - 1 >= refineSegments) {
+                nodes.push(hops[i].node);
+                continue;
+            }
+            nodes.push(...(hops[i].route ? hops[i].route.nodes : [hops[i].node]));
+            refinedNodeCount = nodes.length;
+        }
+
+        const waypoints = grid.buildWaypoints(nodes, endNode, endWorld, endIsExact);
+        let path = waypoints.slice(0, refinedNodeCount);
+        if (options.smooth) {
+            path = grid.smoothPath(path, startWorld, profile);
+        }
+        if (refinedNodeCount === waypoints.length) return path;
+
+        const refinedLength = path.length;
+        path = path.concat(waypoints.slice(refinedNodeCount));
+        path.refinedLength = refinedLength;
+        return path;
+    }
+
+    // A* over the portal graph from startNode to endNode. Returns the hops [{ node, route }] where route is
+    // the in-cluster route that reached node (null for a step across a border), or null if unreachable.
+    searchAbstract(startNode, endNode, startCluster, endCluster, profile, profileKey) {
+        const grid = this.navGrid;
+        const heuristicScale = profile ? Math.min(1, ...Object.values(profile)) : 1;
+
+        // The portal graph is a few hundred nodes, so the open set is a plain array scanned for the minimum
+        const open = [];
+        const records = new Map(); // node -> { g, f, parent, route, closed }
+        const openNode = (node, g, parent, route) => {
+            const existing = records.get(node);
+            if (existing && (existing.closed || existing.g <= g)) return;
+            const f = g + grid.heuristic(node, endNode) * heuristicScale;
+            if (existing) {
+                Object.assign(existing, { g, f, parent, route });
+            } else {
+                records.set(node, { g, f, parent, route, closed: false });
+                open.push(node);
+            }
+        };
+
+        records.set(startNode, { g: 0, f: 0, parent: null, route: null, closed: false });
+        open.push(startNode);
+
+        while (open.length > 0) {
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (records.get(open[i]).f < records.get(open[bestIndex]).f) bestIndex = i;
+            }
+            const current = open[bestIndex];
+            open.splice(bestIndex, 1);
+            const record = records.get(current);
+            record.closed = true;
+
+            if (current === endNode) {
+                const hops = [];
+                for (let node = endNode; node; node = records.get(node).parent) {
+                    hops.push({ node, route: records.get(node).route });
+                }
+                return hops.reverse();
+            }
+
+            const { cx, cy } = this.getClusterCoords(current);
+            const portals = this.getClusterPortals(cx, cy);
+
+            // In-cluster routes to every other portal (and to the goal when it's in this cluster)
+            const targets = [...portals.keys()];
+            if (cx === endCluster.cx && cy === endCluster.cy) targets.push(endNode);
+            for (const target of targets) {
+                if (target === current) continue;
+                const cacheable = portals.has(current) && portals.has(target);
+                const route = this.getClusterRoute(current, target, profile, profileKey, cacheable);
+                if (route) openNode(target, record.g + route.cost, current, route);
+            }
+
+            // Steps across the borders this portal sits on
+            for (const across of portals.get(current) || []) {
+                const stepCost = grid.getMoveCost(current, across, profile);
+                if (stepCost !== Infinity) openNode(across, record.g + stepCost, current, null);
+            }
+        }
+        return null;
+    }
+
+    dispose() {
+        this.navGrid.removeEventListener('change', this.onNavGridChange);
+        this.borders.clear();
+        this.routeCache.clear();
+    }
+}
@@ -0,0 +1,20 @@
+// Host election every client runs on its own copy of the room's peers and presence; they all get the same
+// answer without negotiating. The current host keeps the job while it's still in the room. Otherwise it
+// goes to whoever joined the game earliest (presence.joinedAt, set in GameManager.joinGame()), ties broken
+// by client id. Clients still on the menu have no joinedAt and are never elected.
+// Returns the elected client id, or null when nobody has joined.
+export function electHost(peers, presence, currentHostId = null) {
+    if (currentHostId && peers[currentHostId]) return currentHostId;
+
+    let elected = null;
+    let electedJoinedAt = Infinity;
+    for (const clientId of Object.keys(peers)) {
+        const joinedAt = presence[clientId]?.joinedAt;
+        if (typeof joinedAt !== 'number') continue;
+        if (joinedAt < electedJoinedAt || (joinedAt === electedJoinedAt && clientId < elected)) {
+            elected = clientId;
+            electedJoinedAt = joinedAt;
+        }
+    }
+    return elected;
+}
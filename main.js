@@ -1,10 +1,22 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { Player } from './player.js';
-import { AISeeker } from './aiSeeker.js';
+import { AISquad } from './aiSquad.js';
 import { Environment } from './environment.js';
 import { GameManager } from './gameManager.js';
+import { BotHiderTeam } from './botHider.js';
+import { AIDebugOverlay } from './aiDebugOverlay.js';
 import { AudioManager } from './audioManager.js';
+import { NavigationGrid } from './NavigationGrid.js';
+import { PathfindingClient } from './pathfindingClient.js';
+import { LoopbackRoom, createRoom } from './roomTransport.js';
+import { generatePatrolRoute, loadPatrolRoute, serializePatrolRoute } from './patrolRoutes.js';
+
+// Navigation grid covering the 400x400 terrain from Environment.createTerrain()
+const NAV_CELL_SIZE = 2;
+const NAV_WORLD_SIZE = 400;
+const NAV_BAKED_GRID_DIR = './navgrids/'; // Pre-baked grids, named <mapId>.navgrid
+const PATROL_ROUTE_DIR = './patrolroutes/'; // Authored AI patrol routes, named <mapId>.json
 
 class HorseHeadFarms {
     constructor() {
@@ -12,8 +24,13 @@ class HorseHeadFarms {
         this.camera = null;
         this.renderer = null;
         this.player = null;
-        this.aiSeeker = null;
+        this.aiSquad = null; // Every AI seeker in the round
+        this.botHiders = null; // Bot hiders filling small lobbies
+        this.aiDebugOverlay = null; // F3: AI perception overlay, F4: navigation grid
         this.environment = null;
+        this.navGrid = null;
+        this.pathfinder = null; // PathfindingClient, runs path searches in a Web Worker
+        this.patrolRoute = null; // THREE.Vector3 loop the AI seekers patrol, see setupNavigation()
         this.gameManager = null;
         this.audioManager = null; // Added AudioManager instance
         this.room = null;
@@ -46,23 +63,38 @@ class HorseHeadFarms {
             this.setupCamera();
             this.setupPhysics(); // Initialize Cannon.js world
             
-            // Initialize WebSim room
-            this.room = new WebsimSocket();
-            await this.room.initialize();
+            // Initialize the room: WebSim's, or a self-hosted one when the page asks for it (see createRoom).
+            // Without one the game is still playable alone against the AI.
+            try {
+                this.room = createRoom();
+                await this.room.initialize();
+            } catch (error) {
+                console.warn('Room unavailable, playing offline:', error);
+                this.room = new LoopbackRoom();
+                await this.room.initialize();
+                this.showNotification('Could not reach the multiplayer server, playing offline.', 'warning');
+            }
             
             // Create game components
             // Pass the cannon world to environment and player
             this.environment = new Environment(this.scene, this.world);
             // Pass audioManager and world to Player and AISeeker
             this.player = new Player(this.scene, this.camera, this.renderer, this.room, this.audioManager, this.world);
-            this.aiSeeker = new AISeeker(this.scene, this.environment, this.audioManager, this.world); // Assuming AISeeker might also need the world
-            this.gameManager = new GameManager(this.room, this.player, this.aiSeeker, this.environment);
+            this.aiSquad = new AISquad(this.scene, this.environment, this.audioManager, this.world);
+            this.botHiders = new BotHiderTeam(this.scene, this.environment, this.world);
+            this.gameManager = new GameManager(this.room, this.player, this.aiSquad, this.environment, this.audioManager, this.botHiders);
+            this.aiDebugOverlay = new AIDebugOverlay(this.scene, this.aiSquad);
+            this.setupDebugControls();
             
             // Setup component interactions
             // Collision objects are now managed by cannon-es world.
             // this.player.setCollisionObjects(this.environment.getCollisionObjects());
             this.player.setHideSpots(this.environment.getHidingSpots());
-            this.aiSeeker.setObstacles(this.environment.getCollisionObjects());
+
+            // The nav grid raycasts against the colliders, so wait for the models to finish loading
+            this.environment.ready
+                .catch(error => console.error('Environment failed to load completely:', error))
+                .then(() => this.setupNavigation());
             
             // Setup network event handlers
             this.setupNetworking();
@@ -157,6 +189,83 @@ class HorseHeadFarms {
         // If any other objects were to use "defaultMaterial", their interactions would need defining.
     }
     
+    async setupNavigation() {
+        try {
+            const cellsPerSide = NAV_WORLD_SIZE / NAV_CELL_SIZE;
+            this.navGrid = new NavigationGrid(
+                NAV_CELL_SIZE,
+                cellsPerSide,
+                cellsPerSide,
+                -NAV_WORLD_SIZE / 2,
+                -NAV_WORLD_SIZE / 2,
+                this.world
+            );
+
+            // Ground shapes are handled by the slope pass; the infinite fallback plane would block every cell
+            const obstacleBodies = this.world.bodies.filter(body =>
+                body.type === CANNON.Body.STATIC &&
+                body.shapes.length > 0 &&
+                !body.isWalkableSurface &&
+                !(body.shapes[0] instanceof CANNON.Plane) &&
+                !(body.shapes[0] instanceof CANNON.Heightfield)
+            );
+
+            // Use the shipped bake when it was made from exactly these colliders, otherwise generate
+            const mapId = this.environment.getMapId();
+            const staticBodies = this.world.bodies.filter(body => body.type === CANNON.Body.STATIC);
+            this.navColliderHash = NavigationGrid.computeColliderHash(staticBodies);
+            await this.navGrid.loadOrGenerate(`${NAV_BAKED_GRID_DIR}${mapId}.navgrid`, mapId, this.navColliderHash, obstacleBodies);
+            this.navGrid.applyTerrainAreas(this.environment.getTerrainAreas());
+
+            // The worker mirrors the grid from here on via its change events
+            this.pathfinder = new PathfindingClient(this.navGrid);
+            this.aiSquad.setNavigationGrid(this.navGrid, this.pathfinder);
+            this.botHiders.setNavigationGrid(this.navGrid, this.pathfinder);
+            this.aiDebugOverlay.setNavigationGrid(this.navGrid);
+
+            // Patrol the whole map: the route authored for it if there is one, otherwise one derived from the grid
+            this.patrolRoute = await loadPatrolRoute(`${PATROL_ROUTE_DIR}${mapId}.json`) ||
+                generatePatrolRoute(this.navGrid, {
+                    pointsOfInterest: [...this.environment.getHidingSpots(), ...this.environment.getChokepoints()]
+                });
+            this.aiSquad.setPatrolRoute(this.patrolRoute);
+        } catch (error) {
+            console.error('Failed to generate navigation grid:', error);
+        }
+    }
+    
+    // Saves the current patrol route as <mapId>.json, a starting point for authoring one in PATROL_ROUTE_DIR.
+    // Run from the console: horseHeadFarmsInstance.downloadPatrolRoute()
+    downloadPatrolRoute() {
+        if (!this.patrolRoute || this.patrolRoute.length === 0) {
+            console.warn('Patrol route has not been set up yet');
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([serializePatrolRoute(this.patrolRoute)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.environment.getMapId()}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // Revoking right away can cancel the download
+    }
+    
+    // Saves the current grid as <mapId>.navgrid so it can be shipped in NAV_BAKED_GRID_DIR.
+    // Run from the console: horseHeadFarmsInstance.downloadBakedNavGrid()
+    downloadBakedNavGrid() {
+        if (!this.navGrid || this.navGrid.grid.length === 0) {
+            console.warn('Navigation grid has not been generated yet');
+            return;
+        }
+        const mapId = this.environment.getMapId();
+        const buffer = this.navGrid.exportBaked(mapId, this.navColliderHash);
+        const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${mapId}.navgrid`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // Revoking right away can cancel the download
+    }
+    
     setupCamera() {
         this.camera = new THREE.PerspectiveCamera(
             75,
@@ -173,10 +282,8 @@ class HorseHeadFarms {
             this.updateOtherPlayers(presence);
         });
         
-        // Handle network events
-        this.room.onmessage = (event) => {
-            this.handleNetworkEvent(event.data);
-        };
+        // Handle network events, once GameManager has validated them (see messageSchema.js)
+        this.gameManager.onMessage((data) => this.handleNetworkEvent(data));
         
         // Setup settings panel
         this.setupSettings();
@@ -248,6 +355,20 @@ class HorseHeadFarms {
         });
     }
     
+    // Debug views, switchable mid-round. Also reachable from the console, e.g.
+    // horseHeadFarmsInstance.aiDebugOverlay.setEnabled(true)
+    setupDebugControls() {
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'F3') {
+                e.preventDefault();
+                this.aiDebugOverlay.toggle();
+            } else if (e.code === 'F4') {
+                e.preventDefault();
+                this.aiDebugOverlay.toggleGrid();
+            }
+        });
+    }
+    
     setupModelSelection() {
         const selectModelBtn = document.getElementById('selectModelBtn');
         const modelSelection = document.getElementById('modelSelection');
@@ -551,9 +672,6 @@ class HorseHeadFarms {
             case 'playerCaught':
                 this.handlePlayerCaught(data);
                 break;
-            case 'scream':
-                this.playScreamSound(data.position);
-                break;
             case 'footstep':
                 this.playFootstepSound(data.position, data.volume);
                 break;
@@ -754,6 +872,11 @@ class HorseHeadFarms {
 
             // Update performance stats
             this.updatePerformanceStats();
+
+            // Hand this frame's share of queued path requests to the worker
+            if (this.pathfinder) {
+                this.pathfinder.update();
+            }
             
             // Update game components
             if (this.player) {
@@ -768,6 +891,10 @@ class HorseHeadFarms {
                 this.gameManager.update(deltaTime);
             }
             
+            if (this.aiDebugOverlay) {
+                this.aiDebugOverlay.update(deltaTime);
+            }
+            
             // Update other player interpolation
             this.updateOtherPlayerInterpolation(deltaTime);
             
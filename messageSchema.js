@@ -0,0 +1,109 @@
+// Every message the game sends through the room, with the fields it carries. Senders build messages with
+// createMessage(), which stamps the protocol version and checks the fields; GameManager drops anything
+// validateMessage() rejects before any handler sees it. Bump MESSAGE_PROTOCOL_VERSION whenever a message
+// changes in a way older clients can't read: clients only talk to clients on the same version, and find
+// out when they join (see GameManager.joinGame()).
+//
+// Field kinds: 'string', 'number', 'boolean', 'object', 'array', 'vector' ({ x, y, z }); a trailing '?'
+// makes the field optional (missing or null). Fields not listed are let through, the room itself stamps
+// clientId and username on every message.
+
+export const MESSAGE_PROTOCOL_VERSION = 2;
+
+const NOISE = { position: 'vector', noiseId: 'string?' };
+
+export const MESSAGE_TYPES = {
+    // Sent by the room itself (roomCore.js, WebsimSocket), so never versioned
+    connected: { unversioned: true, fields: { clientId: 'string?', username: 'string?' } },
+    disconnected: { unversioned: true, fields: { clientId: 'string?', username: 'string?' } },
+
+    chat: { fields: { message: 'string', username: 'string?' } },
+
+    // Round flow, from the host
+    gameStart: { fields: { gameState: 'object' } },
+    phaseChange: { fields: { phase: 'string', gameState: 'object?' } },
+    gameStateUpdate: { fields: { gameState: 'object' } },
+    requestRestart: { fields: {} },
+    aiState: { fields: { seq: 'number', seekers: 'array', director: 'number?', bots: 'array?' } },
+    directorScare: { fields: { scare: 'string', targetId: 'string?' } },
+
+    // playerId: the hider caught; caughtBy: the seeker's client, when a human seeker's client reports it
+    playerCaught: { fields: { playerId: 'string', position: 'vector?', caughtBy: 'string?' } },
+    // position: the hiding spot; seekerPosition: where the seeker that found them stands
+    hiderDiscovered: { fields: { playerId: 'string', position: 'vector', seekerPosition: 'vector' } },
+
+    // Session resume, see sessionResume.js
+    resumeSession: { fields: { token: 'string' } },
+    sessionResumed: { fields: { playerId: 'string', position: 'vector?' } },
+
+    // Noises, see noiseEvents.js
+    footstep: { fields: { ...NOISE, volume: 'number?', gait: 'string?' } },
+    jump: { fields: NOISE },
+    land: { fields: NOISE }
+};
+
+function checkField(value, kind) {
+    switch (kind) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'vector':
+            return checkField(value, 'object') && ['x', 'y', 'z'].every(axis => checkField(value[axis], 'number'));
+        default:
+            return false;
+    }
+}
+
+function getFieldErrors(type, data) {
+    const errors = [];
+    for (const [name, spec] of Object.entries(MESSAGE_TYPES[type].fields)) {
+        const optional = spec.endsWith('?');
+        const kind = optional ? spec.slice(0, -1) : spec;
+        const value = data[name];
+        if (value === undefined || value === null) {
+            if (!optional) errors.push(`missing ${name}`);
+        } else if (!checkField(value, kind)) {
+            errors.push(`${name} is not a valid ${kind}`);
+        }
+    }
+    return errors;
+}
+
+// Builds a message to send, throwing when it doesn't match its schema: that's a bug in the sender
+export function createMessage(type, fields = {}) {
+    if (!MESSAGE_TYPES[type]) throw new Error(`Unknown message type '${type}'`);
+    const message = { ...fields, type, v: MESSAGE_PROTOCOL_VERSION };
+    const errors = getFieldErrors(type, message);
+    if (errors.length > 0) throw new Error(`Invalid '${type}' message: ${errors.join(', ')}`);
+    return message;
+}
+
+// Checks a received message. Returns null when it's fine, otherwise { reason, versionMismatch }; a version
+// mismatch means the sender runs another build of the game rather than sending garbage.
+export function validateMessage(data) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+        return { reason: 'not a message', versionMismatch: false };
+    }
+    const schema = MESSAGE_TYPES[data.type];
+    if (!schema) return { reason: `unknown message type '${data.type}'`, versionMismatch: false };
+
+    if (!schema.unversioned && data.v !== MESSAGE_PROTOCOL_VERSION) {
+        const theirs = data.v === undefined ? 'no protocol version' : `protocol version ${data.v}`;
+        return { reason: `sent with ${theirs}, this client speaks version ${MESSAGE_PROTOCOL_VERSION}`, versionMismatch: true };
+    }
+
+    const errors = getFieldErrors(data.type, data);
+    return errors.length > 0 ? { reason: errors.join(', '), versionMismatch: false } : null;
+}
+
+// Whether a client announced our protocol version in its presence, see GameManager.joinGame()
+export function isCompatibleProtocol(presence) {
+    return !!presence && presence.protocolVersion === MESSAGE_PROTOCOL_VERSION;
+}
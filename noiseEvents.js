@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+// Radius (metres) at which each kind of noise is still audible to a seeker with the reference hearing
+// distance and nothing in the way. Crouched footsteps are meant to be nearly silent.
+export const NOISE_LOUDNESS = {
+    sneak: 2,
+    walk: 6,
+    run: 14,
+    jump: 5,
+    land: 10,
+    scream: 40
+};
+
+export const REFERENCE_HEARING_DISTANCE = 8; // AISeeker.hearingDistance at which NOISE_LOUDNESS applies as-is
+const OCCLUSION_FALLOFF = 0.5; // Audible radius is multiplied by this for every body between noise and listener
+const OCCLUSION_SOURCE_MARGIN = 0.75; // Hits this close to the noise are the source's own body, not a wall
+const NOISE_MEMORY_MS = 3000; // How long events stay in the stream for listeners to pick up
+
+// Maps a room message to the noise it makes, or null. Footsteps carry the gait they were made with;
+// a catch makes the caught player scream.
+export function noiseFromMessage(data) {
+    if (!data || !data.position) return null;
+    switch (data.type) {
+        case 'footstep':
+            return { type: NOISE_LOUDNESS[data.gait] ? data.gait : 'walk', position: data.position, sourceId: data.clientId, id: data.noiseId };
+        case 'jump':
+        case 'land':
+            return { type: data.type, position: data.position, sourceId: data.clientId, id: data.noiseId };
+        case 'playerCaught':
+            return { type: 'scream', position: data.position, sourceId: data.playerId, id: data.noiseId };
+        default:
+            return null;
+    }
+}
+
+// Number of distinct bodies between a listener and a noise
+export function countOccluders(world, from, to) {
+    if (!world) return 0;
+    const distance = from.distanceTo(to);
+    const bodies = new Set();
+    world.raycastAll(
+        new CANNON.Vec3(from.x, from.y, from.z),
+        new CANNON.Vec3(to.x, to.y, to.z),
+        { skipBackfaces: true },
+        (result) => {
+            if (distance - result.distance > OCCLUSION_SOURCE_MARGIN) bodies.add(result.body);
+        }
+    );
+    return bodies.size;
+}
+
+// Radius within which a listener hears a noise, given its hearing distance and the walls in between
+export function getAudibleRadius(noise, hearingDistance, occluders = 0) {
+    return noise.loudness * (hearingDistance / REFERENCE_HEARING_DISTANCE) * Math.pow(OCCLUSION_FALLOFF, occluders);
+}
+
+// Shared stream of noises made in the world. Local sounds are emitted directly and the same noises
+// arriving over the network are dropped by id, so each one is heard once whether or not the room echoes
+// messages back to their sender.
+export class NoiseEventStream {
+    constructor() {
+        this.events = []; // Oldest first
+        this.seenIds = new Set();
+        this.lastSequence = 0; // Listeners remember the last sequence they handled, see getEventsAfter()
+        this.eventCallbacks = {
+            noise: []
+        };
+    }
+
+    // noise: { type (key of NOISE_LOUDNESS), position {x,y,z}, sourceId, id }
+    emit(noise) {
+        if (!noise || !NOISE_LOUDNESS[noise.type] || !noise.position) return null;
+        if (noise.id) {
+            if (this.seenIds.has(noise.id)) return null;
+            this.seenIds.add(noise.id);
+        }
+
+        const event = {
+            sequence: ++this.lastSequence,
+            id: noise.id || null,
+            type: noise.type,
+            loudness: NOISE_LOUDNESS[noise.type],
+            position: new THREE.Vector3(noise.position.x, noise.position.y, noise.position.z),
+            sourceId: noise.sourceId || null,
+            time: Date.now()
+        };
+        this.events.push(event);
+        this.prune(event.time);
+        this.triggerCallback('noise', event);
+        return event;
+    }
+
+    getEventsAfter(sequence) {
+        this.prune(Date.now());
+        return this.events.filter(event => event.sequence > sequence);
+    }
+
+    prune(now) {
+        while (this.events.length > 0 && now - this.events[0].time > NOISE_MEMORY_MS) {
+            const event = this.events.shift();
+            if (event.id) this.seenIds.delete(event.id);
+        }
+    }
+
+    addEventListener(event, callback) {
+        if (this.eventCallbacks[event]) {
+            this.eventCallbacks[event].push(callback);
+        }
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventCallbacks[event]) {
+            const index = this.eventCallbacks[event].indexOf(callback);
+            if (index > -1) {
+                this.eventCallbacks[event].splice(index, 1);
+            }
+        }
+    }
+
+    triggerCallback(event, data) {
+        if (this.eventCallbacks[event]) {
+            this.eventCallbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+}
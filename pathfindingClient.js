@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { HierarchicalPathfinder } from './hierarchicalPathfinder.js';
+
+const DEFAULT_MAX_REQUESTS_PER_FRAME = 2; // Path requests handed to the worker (or solved inline) per update()
+const DEFAULT_SYNC_BUDGET_MS = 3; // Main-thread time per frame for inline searches when workers are unavailable
+
+// Async front-end for NavigationGrid.findPath(). Searches run in pathfindingWorker.js against a mirror of
+// the grid (through a HierarchicalPathfinder for long queries), so HorseHeadFarms.animate() never waits
+// on A*. Requests are queued and released by update() (called once per frame) at most maxRequestsPerFrame
+// at a time.
+//
+// const request = pathfinder.requestPath(start, end, { smooth: true, costProfile: 'seeker' });
+// request.promise.then(path => ...); // THREE.Vector3[] or null (no route, or cancelled)
+//                                      // path.refinedLength: see HierarchicalPathfinder.findPath()
+// request.cancel();
+export class PathfindingClient {
+    constructor(navGrid, options = {}) {
+        this.navGrid = navGrid;
+        this.maxRequestsPerFrame = options.maxRequestsPerFrame || DEFAULT_MAX_REQUESTS_PER_FRAME;
+        this.syncBudgetMs = options.syncBudgetMs || DEFAULT_SYNC_BUDGET_MS;
+        this.clusterSize = options.clusterSize; // HierarchicalPathfinder cluster size, undefined = its default
+        this.hierarchy = null; // Main-thread HierarchicalPathfinder, only created for the fallback
+
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.queue = []; // Requests waiting for update() to dispatch them
+        this.inFlight = new Map(); // id -> request already posted to the worker
+
+        this.onNavGridChange = (change) => this.syncCells(change);
+
+        if (options.useWorker !== false) {
+            this.startWorker();
+        }
+        this.navGrid.addEventListener('change', this.onNavGridChange);
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('PathfindingClient: Web Workers unavailable, searching on the main thread');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./pathfindingWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (error) => {
+                console.error('PathfindingClient: Worker failed, searching on the main thread:', error);
+                this.stopWorker();
+            };
+
+            const grid = this.navGrid;
+            this.worker.postMessage({
+                type: 'init',
+                config: {
+                    cellSize: grid.cellSize,
+                    widthCells: grid.widthCells,
+                    depthCells: grid.depthCells,
+                    worldMinX: grid.worldMinX,
+                    worldMinZ: grid.worldMinZ,
+                    maxSlopeAngle: grid.maxSlopeAngle,
+                    allowDiagonal: grid.allowDiagonal,
+                    cornerRule: grid.cornerRule,
+                    heuristic: grid.heuristicType,
+                    clusterSize: this.clusterSize
+                }
+            });
+            if (grid.grid.length > 0) {
+                this.syncCells(grid.getFullRange());
+            }
+        } catch (error) {
+            console.warn('PathfindingClient: Could not start worker, searching on the main thread:', error);
+            this.worker = null;
+        }
+    }
+
+    // Terminates the worker and re-queues its unanswered requests for the main-thread fallback
+    stopWorker() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.queue.unshift(...this.inFlight.values());
+        this.inFlight.clear();
+    }
+
+    // Mirrors a changed cell range into the worker
+    syncCells(range) {
+        if (!this.worker || this.navGrid.grid.length === 0) return;
+        const data = this.navGrid.exportCells(range);
+        const transfer = [data.levelCounts.buffer, data.walkable.buffer, data.heights.buffer, ...Object.values(data.layers).map(layer => layer.buffer)];
+        this.worker.postMessage({ type: 'cells', data }, transfer);
+    }
+
+    requestPath(start, end, options = {}) {
+        const request = {
+            id: this.nextRequestId++,
+            start: { x: start.x, y: start.y, z: start.z },
+            end: { x: end.x, y: end.y, z: end.z },
+            options: { ...options },
+            resolve: null,
+            settled: false
+        };
+        const promise = new Promise(resolve => { request.resolve = resolve; });
+        this.queue.push(request);
+
+        return {
+            id: request.id,
+            promise,
+            cancel: () => this.cancel(request.id)
+        };
+    }
+
+    // Drops a queued or in-flight request; its promise resolves with null
+    cancel(id) {
+        const queuedIndex = this.queue.findIndex(request => request.id === id);
+        if (queuedIndex > -1) {
+            this.settle(this.queue[queuedIndex], null);
+            this.queue.splice(queuedIndex, 1);
+            return;
+        }
+
+        const request = this.inFlight.get(id);
+        if (request) {
+            this.inFlight.delete(id);
+            this.settle(request, null);
+            this.worker?.postMessage({ type: 'cancel', id });
+        }
+    }
+
+    settle(request, path) {
+        if (request.settled) return;
+        request.settled = true;
+        request.resolve(path);
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type !== 'path') return;
+
+        const request = this.inFlight.get(message.id);
+        if (!request) return; // Cancelled while the worker was searching
+        this.inFlight.delete(message.id);
+
+        let path = null;
+        if (message.path) {
+            path = [];
+            for (let i = 0; i < message.path.length; i += 3) {
+                path.push(new THREE.Vector3(message.path[i], message.path[i + 1], message.path[i + 2]));
+            }
+            if (message.refinedLength !== undefined) path.refinedLength = message.refinedLength;
+        }
+        this.settle(request, path);
+    }
+
+    // Releases queued requests, called once per frame from the render loop
+    update() {
+        if (this.queue.length === 0 || this.navGrid.grid.length === 0) return;
+
+        if (this.worker) {
+            const count = Math.min(this.maxRequestsPerFrame, this.queue.length);
+            for (const request of this.queue.splice(0, count)) {
+                this.inFlight.set(request.id, request);
+                this.worker.postMessage({
+                    type: 'findPath',
+                    id: request.id,
+                    start: request.start,
+                    end: request.end,
+                    options: request.options
+                });
+            }
+            return;
+        }
+
+        // Main-thread fallback: solve inline until the per-frame request count or time budget runs out
+        if (!this.hierarchy) {
+            this.hierarchy = new HierarchicalPathfinder(this.navGrid, { clusterSize: this.clusterSize });
+        }
+        const frameStart = performance.now();
+        for (let solved = 0; solved < this.maxRequestsPerFrame && this.queue.length > 0; solved++) {
+            const request = this.queue.shift();
+            let path = null;
+            try {
+                path = this.hierarchy.findPath(request.start, request.end, request.options);
+            } catch (error) {
+                console.error('PathfindingClient: findPath failed:', error);
+            }
+            this.settle(request, path);
+            if (performance.now() - frameStart > this.syncBudgetMs) break;
+        }
+    }
+
+    getPendingCount() {
+        return this.queue.length + this.inFlight.size;
+    }
+
+    dispose() {
+        this.navGrid.removeEventListener('change', this.onNavGridChange);
+        if (this.hierarchy) {
+            this.hierarchy.dispose();
+            this.hierarchy = null;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const request of [...this.queue, ...this.inFlight.values()]) {
+            this.settle(request, null);
+        }
+        this.queue = [];
+        this.inFlight.clear();
+    }
+}
@@ -0,0 +1,93 @@
+import { NavigationGrid } from './NavigationGrid.js';
+import { HierarchicalPathfinder } from './hierarchicalPathfinder.js';
+
+// Runs NavigationGrid.findPath() off the main thread. The main thread owns the physics world, so this
+// worker holds a mirror of the grid kept in sync by PathfindingClient (see pathfindingClient.js).
+//
+// Messages in:
+//   { type: 'init', config }            - (re)creates the grid, config matches the NavigationGrid constructor
+//   { type: 'cells', data }             - applies NavigationGrid.exportCells() data
+//   { type: 'findPath', id, start, end, options }
+//   { type: 'cancel', id }
+// Messages out:
+//   { type: 'path', id, path, refinedLength } - path is a flat Float32Array of x,y,z triples, or null;
+//                                        refinedLength is set for partially refined long routes
+
+let navGrid = null;
+let hierarchy = null; // Answers long queries over navGrid, short ones fall through to navGrid.findPath()
+const jobs = []; // Queued findPath requests, oldest first
+let processScheduled = false;
+
+function scheduleProcessing() {
+    if (processScheduled) return;
+    processScheduled = true;
+    // One search per task so cancel and cells messages are handled between searches
+    setTimeout(processNextJob, 0);
+}
+
+function processNextJob() {
+    processScheduled = false;
+    const job = jobs.shift();
+    if (!job) return;
+
+    let path = null;
+    let refinedLength;
+    try {
+        const waypoints = hierarchy ? hierarchy.findPath(job.start, job.end, job.options) : null;
+        if (waypoints) {
+            refinedLength = waypoints.refinedLength;
+            path = new Float32Array(waypoints.length * 3);
+            waypoints.forEach((point, i) => {
+                path[i * 3] = point.x;
+                path[i * 3 + 1] = point.y;
+                path[i * 3 + 2] = point.z;
+            });
+        }
+    } catch (error) {
+        console.error('PathfindingWorker: findPath failed:', error);
+    }
+    self.postMessage({ type: 'path', id: job.id, path, refinedLength }, path ? [path.buffer] : []);
+
+    if (jobs.length > 0) scheduleProcessing();
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init': {
+            const config = message.config;
+            navGrid = new NavigationGrid(
+                config.cellSize,
+                config.widthCells,
+                config.depthCells,
+                config.worldMinX,
+                config.worldMinZ,
+                null, // No physics world here, line-of-sight checks use the grid only
+                config.maxSlopeAngle,
+                {
+                    allowDiagonal: config.allowDiagonal,
+                    cornerRule: config.cornerRule,
+                    heuristic: config.heuristic
+                }
+            );
+            hierarchy = new HierarchicalPathfinder(navGrid, { clusterSize: config.clusterSize });
+            break;
+        }
+        case 'cells':
+            if (navGrid) navGrid.importCells(message.data);
+            break;
+        case 'findPath':
+            jobs.push(message);
+            scheduleProcessing();
+            break;
+        case 'cancel': {
+            const index = jobs.findIndex(job => job.id === message.id);
+            if (index > -1) jobs.splice(index, 1);
+            break;
+        }
+        default:
+            console.log('PathfindingWorker: Unknown message:', message);
+            break;
+    }
+};
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+
+const COVERAGE_SPACING = 24; // Metres between coverage waypoints across open ground
+const POI_MERGE_DISTANCE = 8; // Points of interest closer than this share one waypoint
+const POI_COVERAGE_CLEARANCE = 12; // Coverage waypoints this close to another waypoint are dropped
+const TWO_OPT_PASSES = 20; // Cap on tour improvement passes, the tour is only cosmetic past this
+
+// Patrol loop over the whole reachable map, derived from a NavigationGrid. Points of interest (hiding
+// spots, chokepoints) are merged into waypoints, open ground between them is covered by a lattice of
+// extra waypoints, and everything is ordered into a short closed loop. Only places reachable from start
+// (the camp) are used, so islands the seekers can't walk to never end up on the route.
+// Returns an array of THREE.Vector3 on the ground, or [] when the grid is empty.
+export function generatePatrolRoute(navGrid, options = {}) {
+    const start = options.start || new THREE.Vector3();
+    const spacing = options.spacing || COVERAGE_SPACING;
+    const startCoords = navGrid.worldToGridCoordinates(start);
+    const startNode = startCoords ? navGrid.getNearestWalkableNode(startCoords.x, startCoords.y) : null;
+    if (!startNode) return [];
+    const reachable = findReachableNodes(navGrid, startNode);
+
+    const snap = (position, radiusCells) => {
+        const coords = navGrid.worldToGridCoordinates(position);
+        if (!coords) return null;
+        const node = navGrid.getNearestWalkableNode(coords.x, coords.y, radiusCells, position.y);
+        return node && reachable.has(node) ? node.worldPosition.clone() : null;
+    };
+
+    const waypoints = [];
+    for (const cluster of clusterPoints(options.pointsOfInterest || [], POI_MERGE_DISTANCE)) {
+        const waypoint = snap(cluster);
+        if (waypoint) waypoints.push(waypoint);
+    }
+
+    const step = Math.max(1, Math.round(spacing / navGrid.cellSize));
+    const searchRadius = Math.max(1, Math.floor(step / 2));
+    for (let gx = Math.floor(step / 2); gx < navGrid.widthCells; gx += step) {
+        for (let gy = Math.floor(step / 2); gy < navGrid.depthCells; gy += step) {
+            const waypoint = snap(navGrid.gridToWorldCoordinates(gx, gy), searchRadius);
+            if (!waypoint) continue;
+            if (waypoints.some(other => other.distanceTo(waypoint) < POI_COVERAGE_CLEARANCE)) continue;
+            waypoints.push(waypoint);
+        }
+    }
+
+    return orderLoop(waypoints, start);
+}
+
+// Every node walkable-connected to startNode
+function findReachableNodes(navGrid, startNode) {
+    const reachable = new Set([startNode]);
+    const open = [startNode];
+    while (open.length > 0) {
+        const node = open.pop();
+        for (const neighbor of navGrid.getNeighbors(node)) {
+            if (!reachable.has(neighbor)) {
+                reachable.add(neighbor);
+                open.push(neighbor);
+            }
+        }
+    }
+    return reachable;
+}
+
+// Greedily merges points within distance of a cluster's first point; returns the cluster centroids
+function clusterPoints(points, distance) {
+    const clusters = [];
+    for (const point of points) {
+        const cluster = clusters.find(c => c.anchor.distanceTo(point) < distance);
+        if (cluster) {
+            cluster.sum.add(point);
+            cluster.count++;
+        } else {
+            clusters.push({ anchor: point, sum: point.clone(), count: 1 });
+        }
+    }
+    return clusters.map(c => c.sum.divideScalar(c.count));
+}
+
+// Nearest-neighbour tour from the point closest to start, tidied up with 2-opt
+function orderLoop(points, start) {
+    if (points.length < 3) return points;
+    const remaining = [...points];
+    remaining.sort((a, b) => a.distanceTo(start) - b.distanceTo(start));
+    const tour = [remaining.shift()];
+    while (remaining.length > 0) {
+        const last = tour[tour.length - 1];
+        let nearest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (last.distanceTo(remaining[i]) < last.distanceTo(remaining[nearest])) nearest = i;
+        }
+        tour.push(remaining.splice(nearest, 1)[0]);
+    }
+
+    // Reverse segments while that shortens the loop (tour[n] wraps to tour[0])
+    const n = tour.length;
+    for (let pass = 0; pass < TWO_OPT_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < n - 2; i++) {
+            for (let j = i + 2; j < n; j++) {
+                const a = tour[i], b = tour[i + 1], c = tour[j], d = tour[(j + 1) % n];
+                if (a === d) continue;
+                if (a.distanceTo(c) + b.distanceTo(d) < a.distanceTo(b) + c.distanceTo(d) - 0.001) {
+                    const reversed = tour.slice(i + 1, j + 1).reverse();
+                    tour.splice(i + 1, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+    return tour;
+}
+
+// Authored route for a map: JSON { "points": [[x, y, z], ...] } in patrol order. Returns an array of
+// THREE.Vector3, or null when the map doesn't ship one.
+export async function loadPatrolRoute(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.log(`Patrol: No authored route at ${url} (${response.status})`);
+            return null;
+        }
+        const data = await response.json();
+        if (!Array.isArray(data.points) || data.points.length < 2) {
+            console.warn(`Patrol: Ignoring ${url}, it needs a "points" array of at least two [x, y, z]`);
+            return null;
+        }
+        return data.points.map(([x, y, z]) => new THREE.Vector3(x, y, z));
+    } catch (error) {
+        console.warn(`Patrol: Failed to fetch authored route from ${url}:`, error);
+        return null;
+    }
+}
+
+// Inverse of loadPatrolRoute(), e.g. to hand-tune a generated route
+export function serializePatrolRoute(points) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return JSON.stringify({ points: points.map(p => [round(p.x), round(p.y), round(p.z)]) }, null, 2);
+}
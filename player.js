@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { noiseFromMessage } from './noiseEvents.js';
+import { createMessage } from './messageSchema.js';
 
 export class Player {
     constructor(scene, camera, renderer, room, audioManager, world) {
@@ -21,6 +23,7 @@ export class Player {
         this.fear = 0;
         this.isAlive = true;
         this.isHiding = false;
+        this.hidingSince = null; // Date.now() when the player last hid, AI seekers are likelier to find long stays
         this.isRunning = false;
         this.isCrouching = false;
         
@@ -65,6 +68,12 @@ export class Player {
         this.landBuffer = null;
         this.loadSounds(); // Method to load sounds
         
+        // Noises the AI can hear (see noiseEvents.js), set by GameManager
+        this.noiseEvents = null;
+        this.noiseSequence = 0;
+        this.aiSquad = null; // AISquad whose seekers scare the player, see updateFear()
+        this.onInteract = null; // Called on the interact key, set by GameManager
+        
         // Create physics body
         this.createPhysicsBody(); // New method to encapsulate physics body creation
 
@@ -228,17 +237,12 @@ export class Player {
     
     playFootstep() {
         if (this.audioManager && this.footstepBuffer && this.body) {
-            const volume = this.isRunning ? 0.35 : 0.18;
+            const gait = this.isRunning ? 'run' : (this.isCrouching ? 'sneak' : 'walk');
+            const volume = gait === 'run' ? 0.35 : (gait === 'sneak' ? 0.08 : 0.18);
             this.audioManager.playSound(this.footstepBuffer, { volume });
             
-            // Broadcast footstep sound to other players
-            if (this.room) {
-                this.room.send({
-                    type: 'footstep',
-                    position: {x: this.body.position.x, y: this.body.position.y, z: this.body.position.z }, // Send CANNON body position
-                    volume: volume
-                });
-            }
+            // Broadcast footstep sound to other players (and to the AI, which hears it by gait)
+            this.makeNoise('footstep', { volume, gait });
         }
     }
     
@@ -246,12 +250,31 @@ export class Player {
         if (this.audioManager && this.jumpBuffer) {
             this.audioManager.playSound(this.jumpBuffer, { volume: 0.25 });
         }
+        this.makeNoise('jump');
     }
     
     playLandSound() {
         if (this.audioManager && this.landBuffer) {
             this.audioManager.playSound(this.landBuffer, { volume: 0.3 });
         }
+        this.makeNoise('land');
+    }
+    
+    // Sends a noise message from the player's position and feeds it straight into the local noise stream,
+    // so the host's own player is heard too. noiseId lets the stream drop the copy the room echoes back.
+    makeNoise(type, fields = {}) {
+        if (!this.body) return;
+        const message = createMessage(type, {
+            position: { x: this.body.position.x, y: this.body.position.y, z: this.body.position.z }, // Send CANNON body position
+            noiseId: `${this.room?.clientId || 'local'}-${this.noiseSequence++}`,
+            ...fields
+        });
+        if (this.noiseEvents) {
+            this.noiseEvents.emit(noiseFromMessage({ ...message, clientId: this.room?.clientId }));
+        }
+        if (this.room) {
+            this.room.send(message);
+        }
     }
     
     onKeyDown(event) {
@@ -504,6 +527,7 @@ export class Player {
     
     hide() {
         this.isHiding = true;
+        this.hidingSince = Date.now();
         if (this.visual) {
             this.visual.visible = false;
         }
@@ -511,6 +535,7 @@ export class Player {
     
     unhide() {
         this.isHiding = false;
+        this.hidingSince = null;
         if (this.visual) {
             this.visual.visible = true;
         }
@@ -524,6 +549,8 @@ export class Player {
     interact() {
         // Implement interaction with objects
         // ...
+        // Seekers catch with the same key, see GameManager.tryCatch()
+        if (this.onInteract) this.onInteract();
     }
     
     updateStamina(deltaTime) {
@@ -542,10 +569,12 @@ export class Player {
         if (gameState.phase === 'seeking') {
             let nearestSeekerDistance = Infinity;
 
-            // Check distance to AI seeker
-            if (gameState.aiSeeker && gameState.aiSeeker.position) {
-                const distance = currentPosition.distanceTo(gameState.aiSeeker.position);
-                nearestSeekerDistance = Math.min(nearestSeekerDistance, distance);
+            // Check distance to the AI seekers (set by GameManager)
+            if (this.aiSquad) {
+                for (const seeker of this.aiSquad.seekers) {
+                    const distance = currentPosition.distanceTo(seeker.position);
+                    nearestSeekerDistance = Math.min(nearestSeekerDistance, distance);
+                }
             }
             
             // Check distance to player seekers
@@ -631,6 +660,7 @@ export class Player {
                 // Optionally send velocity if server-side validation or other clients need it.
                 // velocity: { x: this.body.velocity.x, y: this.body.velocity.y, z: this.body.velocity.z },
                 isHiding: this.isHiding,
+                hidingSince: this.hidingSince,
                 isRunning: this.isRunning,
                 isCrouching: this.isCrouching,
                 health: this.health,
@@ -679,6 +709,13 @@ export class Player {
         this.hideSpots = spots; // hideSpots are likely Vector3 positions, no change needed here.
     }
     
+    // Moves the player without simulating the way there, e.g. back to where they were before a reconnect
+    setPosition(position) {
+        if (!this.body) return;
+        this.body.position.set(position.x, position.y, position.z);
+        this.body.velocity.set(0, 0, 0);
+    }
+    
     getPosition() {
         if (this.body) {
             // Return a THREE.Vector3 for consistency with other game parts if they expect it.
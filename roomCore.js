@@ -0,0 +1,115 @@
+// Room semantics shared by the self-hosted room server (server/roomServer.js) and the client-side
+// transports (roomTransport.js), mirroring the hosted WebsimSocket: every client has a presence object
+// only it writes, the room has one shared roomState anyone can patch, and messages go to everybody in
+// the room, the sender included, stamped with who sent them.
+//
+// Packets are plain JSON objects with a `t` field:
+//   client -> room: join { username, avatarUrl }, presence { data }, roomState { data }, message { data },
+//                   presenceRequest { to, data }
+//   room -> client: welcome { clientId, peers, presence, roomState }, peers { peers },
+//                   presence { clientId, presence }, roomState { roomState }, message { data },
+//                   presenceRequest { from, data }
+
+export const ROOM_PROTOCOL_VERSION = 1;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Applies a presence or room state patch in place: objects merge key by key, null deletes a key and
+// anything else (arrays included) replaces what was there
+export function mergeState(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete target[key];
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeState(target[key], value);
+        } else {
+            target[key] = isPlainObject(value) || Array.isArray(value) ? structuredClone(value) : value;
+        }
+    }
+    return target;
+}
+
+// One room's authoritative state. Members are joined with a deliver(packet) callback, so the same core
+// runs behind a WebSocket server or in-process.
+export class RoomCore {
+    constructor(name = 'default') {
+        this.name = name;
+        this.members = new Map(); // clientId -> deliver(packet)
+        this.peers = {}; // clientId -> { username, avatarUrl }
+        this.presence = {}; // clientId -> presence object
+        this.roomState = {};
+    }
+
+    join(clientId, info, deliver) {
+        const username = typeof info.username === 'string' && info.username ? info.username.slice(0, 32) : `Player ${clientId.substring(0, 4)}`;
+        this.members.set(clientId, deliver);
+        this.peers[clientId] = { username, avatarUrl: info.avatarUrl || null };
+        this.presence[clientId] = {};
+
+        deliver({
+            t: 'welcome',
+            version: ROOM_PROTOCOL_VERSION,
+            clientId,
+            peers: this.peers,
+            presence: this.presence,
+            roomState: this.roomState
+        });
+        this.broadcast({ t: 'peers', peers: this.peers }, clientId);
+        this.broadcast({ t: 'presence', clientId, presence: {} }, clientId);
+        this.broadcast({ t: 'message', data: { type: 'connected', clientId, username } });
+    }
+
+    leave(clientId) {
+        if (!this.members.has(clientId)) return;
+        const username = this.peers[clientId].username;
+        this.members.delete(clientId);
+        delete this.peers[clientId];
+        delete this.presence[clientId];
+
+        this.broadcast({ t: 'peers', peers: this.peers });
+        this.broadcast({ t: 'presence', clientId, presence: null });
+        this.broadcast({ t: 'message', data: { type: 'disconnected', clientId, username } });
+    }
+
+    // A packet from a joined member. Malformed packets are dropped, a client can't break the room.
+    handlePacket(clientId, packet) {
+        if (!this.members.has(clientId) || !isPlainObject(packet)) return;
+
+        switch (packet.t) {
+            case 'presence':
+                if (!isPlainObject(packet.data)) return;
+                mergeState(this.presence[clientId], packet.data);
+                this.broadcast({ t: 'presence', clientId, presence: this.presence[clientId] });
+                break;
+            case 'roomState':
+                if (!isPlainObject(packet.data)) return;
+                mergeState(this.roomState, packet.data);
+                this.broadcast({ t: 'roomState', roomState: this.roomState });
+                break;
+            case 'message':
+                if (!isPlainObject(packet.data)) return;
+                this.broadcast({
+                    t: 'message',
+                    data: { ...packet.data, clientId, username: this.peers[clientId].username }
+                });
+                break;
+            case 'presenceRequest': {
+                const deliver = this.members.get(packet.to);
+                if (deliver && isPlainObject(packet.data)) deliver({ t: 'presenceRequest', from: clientId, data: packet.data });
+                break;
+            }
+        }
+    }
+
+    broadcast(packet, exceptClientId = null) {
+        for (const [clientId, deliver] of this.members) {
+            if (clientId !== exceptClientId) deliver(packet);
+        }
+    }
+
+    isEmpty() {
+        return this.members.size === 0;
+    }
+}
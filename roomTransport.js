@@ -0,0 +1,279 @@
+import { RoomCore, mergeState } from './roomCore.js';
+
+const RECONNECT_BASE_DELAY = 1000; // ms before the first reconnection attempt, doubling with every failure...
+const RECONNECT_MAX_DELAY = 30000; // ...up to this
+const RECONNECT_MAX_ATTEMPTS = 12; // Roughly five minutes of trying before giving up
+
+// Exponential backoff with jitter, so a room full of clients dropped together doesn't reconnect in lockstep
+export function getReconnectDelay(attempt) {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, attempt));
+    return delay * (0.5 + Math.random() * 0.5);
+}
+
+// Client side of a room, shaped like the hosted WebsimSocket so GameManager and main.js work unchanged
+// on any transport: clientId, peers, presence, roomState, onmessage, initialize(), send(), updatePresence(),
+// updateRoomState(), requestPresenceUpdate() and the subscribe*() methods. Subclasses connect it to a
+// RoomCore (see roomCore.js) by implementing open() and transmit(), and feeding every packet from the
+// room to receive().
+export class RoomTransport {
+    constructor() {
+        this.clientId = null;
+        this.peers = {};
+        this.presence = {};
+        this.roomState = {};
+        this.onmessage = null;
+        this.ready = null; // Promise of the first open(), see initialize()
+
+        this.eventCallbacks = {
+            presence: [],
+            roomState: [],
+            presenceUpdateRequest: [],
+            connection: []
+        };
+    }
+
+    // Joins the room once; calling it again (GameManager.joinGame() does) waits on the same join
+    initialize() {
+        if (!this.ready) this.ready = this.open();
+        return this.ready;
+    }
+
+    async open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    transmit(packet) {
+        throw new Error(`${this.constructor.name} does not implement transmit()`);
+    }
+
+    close() {}
+
+    // Own presence and room state apply straight away; the room's echo then confirms them
+    updatePresence(data) {
+        if (!this.clientId) return;
+        mergeState(this.presence[this.clientId] || (this.presence[this.clientId] = {}), data);
+        this.triggerCallback('presence', this.presence);
+        this.transmit({ t: 'presence', data });
+    }
+
+    updateRoomState(data) {
+        mergeState(this.roomState, data);
+        this.triggerCallback('roomState', this.roomState);
+        this.transmit({ t: 'roomState', data });
+    }
+
+    send(data) {
+        this.transmit({ t: 'message', data });
+    }
+
+    requestPresenceUpdate(clientId, update) {
+        this.transmit({ t: 'presenceRequest', to: clientId, data: update });
+    }
+
+    subscribePresence(callback) {
+        return this.addEventListener('presence', callback);
+    }
+
+    subscribeRoomState(callback) {
+        return this.addEventListener('roomState', callback);
+    }
+
+    subscribePresenceUpdateRequests(callback) {
+        return this.addEventListener('presenceUpdateRequest', callback);
+    }
+
+    // Not part of WebsimSocket: status is 'reconnecting' when the connection dropped, 'connected' once it's
+    // back (with a new clientId) and 'disconnected' when reconnecting was given up
+    subscribeConnection(callback) {
+        return this.addEventListener('connection', callback);
+    }
+
+    // Returns a function that unsubscribes again, as WebsimSocket's subscriptions do
+    addEventListener(event, callback) {
+        this.eventCallbacks[event].push(callback);
+        return () => {
+            const index = this.eventCallbacks[event].indexOf(callback);
+            if (index > -1) this.eventCallbacks[event].splice(index, 1);
+        };
+    }
+
+    triggerCallback(event, ...args) {
+        for (const callback of [...this.eventCallbacks[event]]) {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in room ${event} callback:`, error);
+            }
+        }
+    }
+
+    receive(packet) {
+        switch (packet.t) {
+            case 'welcome':
+                this.clientId = packet.clientId;
+                this.peers = packet.peers;
+                this.presence = packet.presence;
+                this.roomState = packet.roomState;
+                this.triggerCallback('presence', this.presence);
+                this.triggerCallback('roomState', this.roomState);
+                break;
+            case 'peers':
+                this.peers = packet.peers;
+                break;
+            case 'presence':
+                if (packet.presence) this.presence[packet.clientId] = packet.presence;
+                else delete this.presence[packet.clientId];
+                this.triggerCallback('presence', this.presence);
+                break;
+            case 'roomState':
+                this.roomState = packet.roomState;
+                this.triggerCallback('roomState', this.roomState);
+                break;
+            case 'message':
+                if (typeof this.onmessage === 'function') {
+                    try {
+                        this.onmessage({ data: packet.data });
+                    } catch (error) {
+                        console.error('Error in room message handler:', error);
+                    }
+                }
+                break;
+            case 'presenceRequest':
+                this.triggerCallback('presenceUpdateRequest', packet.data, packet.from);
+                break;
+        }
+    }
+}
+
+// Room on a self-hosted room server (server/roomServer.js). url: ws://host:port/<room name>
+// A dropped connection is retried with exponential backoff. The room server treats the new connection as
+// a new client; getting the old slot in the round back is up to GameManager (see sessionResume.js).
+export class WebSocketRoom extends RoomTransport {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.username = options.username || null;
+        this.avatarUrl = options.avatarUrl || null;
+        this.socket = null;
+        this.closed = false; // Set by close(), stops reconnection
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+    }
+
+    open() {
+        return this.connect();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+            let welcomed = false;
+
+            socket.onopen = () => {
+                socket.send(JSON.stringify({ t: 'join', username: this.username, avatarUrl: this.avatarUrl }));
+            };
+            socket.onmessage = (event) => {
+                let packet;
+                try {
+                    packet = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn('Room: Ignoring malformed packet from server:', error);
+                    return;
+                }
+                this.receive(packet);
+                if (packet.t === 'welcome' && !welcomed) {
+                    welcomed = true;
+                    resolve();
+                }
+            };
+            socket.onerror = () => {
+                if (!welcomed) reject(new Error(`Could not connect to room server at ${this.url}`));
+            };
+            socket.onclose = () => {
+                if (!welcomed) {
+                    reject(new Error(`Room server at ${this.url} closed the connection`));
+                } else if (!this.closed) {
+                    console.warn(`Room: Disconnected from ${this.url}, reconnecting`);
+                    this.triggerCallback('connection', 'reconnecting');
+                    this.scheduleReconnect();
+                }
+            };
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= RECONNECT_MAX_ATTEMPTS) {
+            console.warn(`Room: Giving up on ${this.url} after ${this.reconnectAttempt} attempts`);
+            this.triggerCallback('connection', 'disconnected');
+            return;
+        }
+        const delay = getReconnectDelay(this.reconnectAttempt++);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().then(() => {
+                console.log(`Room: Reconnected to ${this.url} as ${this.clientId}`);
+                this.reconnectAttempt = 0;
+                this.triggerCallback('connection', 'connected');
+            }, () => {
+                if (!this.closed) this.scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    transmit(packet) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(packet));
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+}
+
+// In-memory room for offline play and headless tests. On its own it's a room of one; LoopbackRooms given
+// the same RoomCore share a room, e.g. to run a host and a client in one process. Packets are copied and
+// delivered on a microtask, so callers see the same asynchrony as over a network.
+export class LoopbackRoom extends RoomTransport {
+    constructor(options = {}) {
+        super();
+        this.core = options.core || new RoomCore('loopback');
+        this.username = options.username || 'Player';
+        this.offline = true; // No other humans can join, see GameManager.getMinRoundPlayers()
+    }
+
+    async open() {
+        const clientId = globalThis.crypto?.randomUUID ? crypto.randomUUID() : `local-${Math.random().toString(36).slice(2, 10)}`;
+        this.core.join(clientId, { username: this.username }, (packet) => {
+            const copy = structuredClone(packet);
+            queueMicrotask(() => this.receive(copy));
+        });
+        await new Promise(resolve => queueMicrotask(resolve)); // The welcome was queued first
+    }
+
+    transmit(packet) {
+        if (!this.clientId) return;
+        const clientId = this.clientId;
+        const copy = structuredClone(packet);
+        queueMicrotask(() => this.core.handlePacket(clientId, copy));
+    }
+
+    close() {
+        if (this.clientId) this.core.leave(this.clientId);
+    }
+}
+
+// The room the game plays in. Opening the page with ?roomServer=ws://host:8787/<room> (and optionally
+// &name=<username>) joins a self-hosted room server, ?offline plays alone in a LoopbackRoom, anything else
+// uses the hosted WebsimSocket.
+export function createRoom(search = typeof location !== 'undefined' ? location.search : '') {
+    const params = new URLSearchParams(search);
+    const roomServer = params.get('roomServer');
+    if (roomServer) return new WebSocketRoom(roomServer, { username: params.get('name') });
+    if (params.has('offline')) return new LoopbackRoom({ username: params.get('name') || undefined });
+    return new WebsimSocket();
+}
@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { BT_STATUS } from './behaviourTree.js';
+
+// Leaves of AISeeker's behaviour tree. Perception (AISeeker.updatePerception) fills the blackboard with:
+//   visibleTarget     - closest player currently in sight, or null
+//   heardTarget       - loudest noise heard this perception tick (only when nobody is visible), or null;
+//                       { id, position, type, intensity } from AISeeker.getHeardNoise()
+//   lastKnownPosition - THREE.Vector3 where a target was last seen or heard, cleared once searched
+// Seekers in an AISquad also share sightings through seeker.squad (see aiSquad.js).
+// Designers can add leaves here (or to SEEKER_BEHAVIOURS at runtime) and reference them by name in a tree.
+export const SEEKER_BEHAVIOURS = {
+    conditions: {
+        canSeeTarget: (seeker, blackboard) => blackboard.has('visibleTarget'),
+        heardNoise: (seeker, blackboard) => blackboard.has('heardTarget'),
+        hasLastKnownPosition: (seeker, blackboard) => blackboard.has('lastKnownPosition'),
+        hasPatrolPoints: (seeker) => seeker.patrolPoints.length > 0,
+        // Another squad member saw or heard a hider that nobody is following up yet
+        squadHasSighting: (seeker) => !!seeker.squad && seeker.squad.findOpenSighting(seeker) !== null,
+        // Squad tension (see aiTension.js) within params.min (0) .. params.max (1); seekers outside a squad sit at 0.5
+        tensionBetween: (seeker, blackboard, params) => {
+            const tension = seeker.squad ? seeker.squad.tension.value : 0.5;
+            return tension >= (params.min ?? 0) && tension <= (params.max ?? 1);
+        },
+        // The squad is backing off after a peak
+        tensionRelaxing: (seeker) => !!seeker.squad && seeker.squad.tension.isRelaxing(),
+        // params.key: any blackboard entry, e.g. one written by a map script
+        blackboardHas: (seeker, blackboard, params) => blackboard.has(params.key)
+    },
+
+    actions: {
+        chaseTarget: (seeker, blackboard, deltaTime) => {
+            const target = blackboard.get('visibleTarget');
+            if (!target || !target.position) return BT_STATUS.FAILURE;
+            seeker.state = 'chasing';
+            seeker.target = target;
+            blackboard.set('lastKnownPosition', target.position.clone());
+            seeker.chase(deltaTime, target);
+            return BT_STATUS.RUNNING;
+        },
+
+        // Shadows the visible target from behind without catching it. params: distance (10)
+        stalkTarget: (seeker, blackboard, deltaTime, params) => {
+            const target = blackboard.get('visibleTarget');
+            if (!target || !target.position) return BT_STATUS.FAILURE;
+            seeker.state = 'stalking';
+            seeker.target = target;
+            blackboard.set('lastKnownPosition', target.position.clone());
+            seeker.stalk(deltaTime, target, params.distance);
+            return BT_STATUS.RUNNING;
+        },
+
+        // Turns away from lastKnownPosition as if giving up, then lurks out there. Keeps lastKnownPosition so
+        // the seeker comes back to search it once the tree moves on. params: distance (15)
+        fakeOutRetreat: (seeker, blackboard, deltaTime, params, memory) => {
+            const from = blackboard.get('lastKnownPosition');
+            if (!from) return BT_STATUS.FAILURE;
+            if (!memory.point) {
+                memory.point = seeker.getRetreatPoint(from, params.distance);
+                seeker.clearPath();
+            }
+            seeker.state = 'retreating';
+            seeker.target = null;
+            blackboard.set('searchTime', 0);
+            if (seeker.horizontalDistanceTo(memory.point) > 1.5) {
+                seeker.followPathTo(memory.point, seeker.runSpeed, deltaTime);
+            } else {
+                seeker.clearPath();
+                seeker.idle(deltaTime);
+            }
+            return BT_STATUS.RUNNING;
+        },
+
+        // Remembers where the noise came from and restarts the search there
+        investigateNoise: (seeker, blackboard) => {
+            const target = blackboard.get('heardTarget');
+            if (!target || !target.position) return BT_STATUS.FAILURE;
+            blackboard.set('lastKnownPosition', target.position.clone());
+            blackboard.set('searchTime', 0);
+            blackboard.delete('heardTarget');
+            return BT_STATUS.SUCCESS;
+        },
+
+        // Takes over the freshest open squad sighting as this seeker's own lastKnownPosition
+        followSquadSighting: (seeker, blackboard) => {
+            const open = seeker.squad ? seeker.squad.findOpenSighting(seeker) : null;
+            if (!open) return BT_STATUS.FAILURE;
+            seeker.squad.claimSighting(open.playerId, seeker);
+            blackboard.set('lastKnownPosition', open.sighting.position.clone());
+            blackboard.set('searchTime', 0);
+            return BT_STATUS.SUCCESS;
+        },
+
+        // Circles lastKnownPosition for params.duration seconds, then forgets it.
+        // params: radius, duration, speedMultiplier (default to the seeker's difficulty settings)
+        searchArea: (seeker, blackboard, deltaTime, params) => {
+            const center = blackboard.get('lastKnownPosition');
+            if (!center) return BT_STATUS.FAILURE;
+
+            const searchTime = blackboard.get('searchTime', 0) + deltaTime;
+            if (searchTime > (params.duration ?? seeker.memoryDuration)) {
+                if (seeker.squad) seeker.squad.releaseSightings(seeker, center);
+                blackboard.delete('lastKnownPosition');
+                blackboard.set('searchTime', 0);
+                return BT_STATUS.SUCCESS;
+            }
+            blackboard.set('searchTime', searchTime);
+            seeker.state = 'searching';
+            seeker.target = null;
+            // Squad members searching the same spot split the circle between them
+            const sector = seeker.squad ? seeker.squad.getSearchSector(seeker, center) : null;
+            seeker.search(deltaTime, center, params.radius ?? seeker.searchRadius, params.speedMultiplier ?? seeker.searchSpeedMultiplier, sector);
+            return BT_STATUS.RUNNING;
+        },
+
+        // Walks to a hiding spot, inspects it for seeker.inspectDuration seconds (the seeker leans in and sniffs)
+        // and may pull out a hider hiding there (see AISeeker.getDiscoveryChance).
+        // params: near (blackboard key of a position to stay around), radius (12), minHeat (0.1)
+        checkHidingSpot: (seeker, blackboard, deltaTime, params, memory) => {
+            if (!memory.spot) {
+                const center = params.near ? blackboard.get(params.near) : null;
+                if (params.near && !center) return BT_STATUS.FAILURE;
+                memory.spot = seeker.pickHidingSpot({ center, radius: params.radius ?? 12, minHeat: params.minHeat });
+                if (!memory.spot) return BT_STATUS.FAILURE;
+                memory.elapsed = 0;
+            }
+            seeker.target = null;
+
+            if (!memory.inspecting) {
+                seeker.state = 'moving';
+                memory.inspecting = seeker.approachHidingSpot(memory.spot, deltaTime);
+                return BT_STATUS.RUNNING;
+            }
+
+            seeker.state = 'inspecting';
+            seeker.velocity.set(0, 0, 0);
+            seeker.rotation = Math.atan2(memory.spot.x - seeker.position.x, memory.spot.z - seeker.position.z);
+            memory.elapsed += deltaTime;
+            if (memory.elapsed < seeker.inspectDuration) return BT_STATUS.RUNNING;
+
+            seeker.inspectHidingSpot(memory.spot);
+            return BT_STATUS.SUCCESS;
+        },
+
+        // Heads for the most likely hider location on the heatmap (sightings, noises, unchecked hiding spots).
+        // params: minHeat (0.1) - weaker leads fail so the tree falls through to patrolling; speedMultiplier (1)
+        huntHeatmap: (seeker, blackboard, deltaTime, params) => {
+            if (!seeker.huntHeatmap(deltaTime, params.minHeat ?? 0.1, params.speedMultiplier ?? 1)) {
+                return BT_STATUS.FAILURE;
+            }
+            seeker.state = 'hunting';
+            seeker.target = null;
+            return BT_STATUS.RUNNING;
+        },
+
+        // Walks to a chokepoint (cabin door, bridge end) and lies in wait there for params.duration (15) seconds.
+        // Won't set up another ambush for params.cooldown (40) seconds after picking one.
+        ambushChokepoint: (seeker, blackboard, deltaTime, params, memory) => {
+            if (!memory.point) {
+                if (Date.now() < seeker.nextAmbushAt) return BT_STATUS.FAILURE;
+                memory.point = seeker.pickChokepoint();
+                if (!memory.point) return BT_STATUS.FAILURE;
+                memory.waited = 0;
+                seeker.nextAmbushAt = Date.now() + (params.cooldown ?? 40) * 1000;
+            }
+            seeker.target = null;
+            seeker.searchPoint = memory.point; // Lets squadmates cover other chokepoints
+
+            if (seeker.horizontalDistanceTo(memory.point) > 1.5) {
+                seeker.state = 'moving';
+                seeker.followPathTo(memory.point, seeker.speed, deltaTime);
+                return BT_STATUS.RUNNING;
+            }
+            seeker.clearPath();
+            seeker.state = 'ambushing';
+            seeker.idle(deltaTime);
+            memory.waited += deltaTime;
+            if (memory.waited < (params.duration ?? 15)) return BT_STATUS.RUNNING;
+            seeker.searchPoint = null;
+            return BT_STATUS.SUCCESS;
+        },
+
+        patrol: (seeker, blackboard, deltaTime, params) => {
+            if (seeker.patrolPoints.length === 0) return BT_STATUS.FAILURE;
+            seeker.state = 'patrolling';
+            seeker.target = null;
+            seeker.patrol(deltaTime, params.speedMultiplier ?? 1);
+            return BT_STATUS.RUNNING;
+        },
+
+        // Walks to a fixed point (e.g. an ambush spot) and succeeds on arrival.
+        // params: x, z, speedMultiplier (1), arriveDistance (1.5)
+        moveTo: (seeker, blackboard, deltaTime, params) => {
+            const point = new THREE.Vector3(params.x, seeker.position.y, params.z);
+            if (seeker.horizontalDistanceTo(point) < (params.arriveDistance ?? 1.5)) {
+                seeker.clearPath();
+                return BT_STATUS.SUCCESS;
+            }
+            seeker.state = 'moving';
+            seeker.followPathTo(point, seeker.speed * (params.speedMultiplier ?? 1), deltaTime);
+            return BT_STATUS.RUNNING;
+        },
+
+        // Stands still looking around for params.seconds
+        wait: (seeker, blackboard, deltaTime, params, memory) => {
+            memory.elapsed = (memory.elapsed || 0) + deltaTime;
+            if (memory.elapsed >= (params.seconds ?? 2)) return BT_STATUS.SUCCESS;
+            seeker.idle(deltaTime);
+            return BT_STATUS.RUNNING;
+        },
+
+        idle: (seeker, blackboard, deltaTime) => {
+            seeker.state = 'idle';
+            seeker.idle(deltaTime);
+            return BT_STATUS.RUNNING;
+        }
+    }
+};
+
+// Back off for a while after a tension peak, stalk what you see while tension is low and chase it once it
+// builds, investigate what you hear, search where it was (checking nearby hiding spots first), follow up
+// what the squad saw, lie in wait at chokepoints mid-round, check likely hiding spots, hunt the heatmap's
+// best lead, otherwise patrol
+export const DEFAULT_SEEKER_TREE = {
+    type: 'selector',
+    children: [
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'tensionRelaxing' },
+                { type: 'condition', name: 'hasLastKnownPosition' },
+                { type: 'action', name: 'fakeOutRetreat' }
+            ]
+        },
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'canSeeTarget' },
+                {
+                    type: 'selector',
+                    children: [
+                        {
+                            type: 'sequence',
+                            children: [
+                                { type: 'condition', name: 'tensionBetween', params: { max: 0.45 } },
+                                { type: 'action', name: 'stalkTarget' }
+                            ]
+                        },
+                        { type: 'action', name: 'chaseTarget' }
+                    ]
+                }
+            ]
+        },
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'heardNoise' },
+                { type: 'action', name: 'investigateNoise' }
+            ]
+        },
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'hasLastKnownPosition' },
+                {
+                    type: 'selector',
+                    children: [
+                        // A hider who just vanished probably ducked into a spot nearby
+                        { type: 'action', name: 'checkHidingSpot', params: { near: 'lastKnownPosition' } },
+                        { type: 'action', name: 'searchArea' }
+                    ]
+                }
+            ]
+        },
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'squadHasSighting' },
+                { type: 'action', name: 'followSquadSighting' }
+            ]
+        },
+        {
+            type: 'sequence',
+            children: [
+                { type: 'condition', name: 'tensionBetween', params: { min: 0.25, max: 0.75 } },
+                { type: 'action', name: 'ambushChokepoint' }
+            ]
+        },
+        { type: 'action', name: 'checkHidingSpot' },
+        { type: 'action', name: 'huntHeatmap' },
+        { type: 'action', name: 'patrol' },
+        { type: 'action', name: 'idle' }
+    ]
+};
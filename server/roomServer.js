@@ -0,0 +1,113 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { RoomCore } from '../roomCore.js';
+
+const DEFAULT_PORT = 8787;
+const HEARTBEAT_INTERVAL = 30000; // ms between pings, a client that missed the last one is dropped
+const MAX_PACKET_BYTES = 256 * 1024;
+const JOIN_TIMEOUT = 10000; // ms a connection gets to send its join packet
+
+// Self-hostable stand-in for the hosted WebsimSocket rooms, for private LAN sessions and integration
+// tests. Each URL path is its own room (ws://host:8787/<room name>), created on first join and dropped
+// when the last client leaves. Room semantics live in roomCore.js; this only moves packets.
+//
+//   npm run room-server            (PORT=9000 npm run room-server for another port)
+//
+// then open the game with ?roomServer=ws://<this machine>:8787/<room name>.
+export function startRoomServer(options = {}) {
+    const port = options.port ?? DEFAULT_PORT;
+    const rooms = new Map(); // name -> RoomCore
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end(`Room server, ${rooms.size} room(s) open\n`);
+    });
+    const wss = new WebSocketServer({ server, maxPayload: MAX_PACKET_BYTES });
+
+    wss.on('connection', (socket, request) => {
+        const roomName = decodeURIComponent(new URL(request.url, 'http://localhost').pathname.slice(1)) || 'default';
+        const clientId = randomUUID();
+        let room = null;
+        socket.isAlive = true;
+
+        const joinTimer = setTimeout(() => socket.close(4000, 'No join packet'), JOIN_TIMEOUT);
+        const deliver = (packet) => {
+            if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(packet));
+        };
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => {
+            let packet;
+            try {
+                packet = JSON.parse(raw.toString());
+            } catch (error) {
+                return; // Not ours to fix, the client just doesn't get an answer
+            }
+
+            if (!room) {
+                if (!packet || packet.t !== 'join') return;
+                clearTimeout(joinTimer);
+                room = rooms.get(roomName);
+                if (!room) {
+                    room = new RoomCore(roomName);
+                    rooms.set(roomName, room);
+                }
+                room.join(clientId, packet, deliver);
+                log(options, `${clientId} joined ${roomName} (${room.members.size} in room)`);
+                return;
+            }
+            room.handlePacket(clientId, packet);
+        });
+
+        socket.on('close', () => {
+            clearTimeout(joinTimer);
+            if (!room) return;
+            room.leave(clientId);
+            log(options, `${clientId} left ${roomName} (${room.members.size} in room)`);
+            if (room.isEmpty()) rooms.delete(roomName);
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, options.host, () => {
+            const address = server.address();
+            log(options, `Room server listening on port ${address.port}`);
+            resolve({
+                port: address.port,
+                rooms,
+                close: () => new Promise((done) => {
+                    clearInterval(heartbeat);
+                    for (const socket of wss.clients) socket.terminate();
+                    wss.close(() => server.close(() => done()));
+                })
+            });
+        });
+    });
+}
+
+function log(options, message) {
+    if (!options.quiet) console.log(`[roomServer] ${message}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startRoomServer({ port: Number(process.env.PORT) || DEFAULT_PORT, host: process.env.HOST }).catch((error) => {
+        console.error('Failed to start room server:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,156 @@
+export const RESUME_GRACE_SECONDS = 60; // How long the host keeps a dropped player's slot in the round
+const RESUME_TOKEN_STORAGE_KEY = 'horseHeadFarms.resumeToken';
+
+// Resume tokens let a player who dropped out of a round take their slot back under the new client id the
+// room gives them after a reconnect or reload. The host hands every human in a round a token of their own
+// through a presence update request, which only reaches that player; gameState.sessions, which everyone
+// can read, only holds SHA-256 hashes of the tokens. When a player leaves the room the host parks their
+// slot in gameState.reservedSlots for RESUME_GRACE_SECONDS (their role and survivor status stay as they
+// were), and a 'resumeSession' message carrying the token moves it over to the new id. Both lists are
+// arrays because room state merges objects key by key.
+
+export function createResumeToken() {
+    if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+    // randomUUID() also needs https, getRandomValues() doesn't
+    if (globalThis.crypto?.getRandomValues) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Tokens are kept in sessionStorage: they survive reloading the tab, not opening the game in a new one
+export function saveResumeToken(token) {
+    try {
+        sessionStorage.setItem(RESUME_TOKEN_STORAGE_KEY, token);
+    } catch (error) {
+        // Storage blocked, resuming after a reload won't work but reconnecting still does
+    }
+}
+
+export function loadResumeToken() {
+    try {
+        return sessionStorage.getItem(RESUME_TOKEN_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+export function clearResumeToken() {
+    try {
+        sessionStorage.removeItem(RESUME_TOKEN_STORAGE_KEY);
+    } catch (error) {
+        // Nothing stored then
+    }
+}
+
+// SHA-256 round constants: the first 32 bits of the fractional parts of the cube roots of the first 64 primes
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// SHA-256 of a string's UTF-8 bytes as hex. Done by hand rather than with crypto.subtle, which browsers
+// only offer on https pages and so is missing when the game is served from a LAN room server over http.
+export function hashResumeToken(token) {
+    const bytes = new TextEncoder().encode(token);
+    const blockCount = Math.ceil((bytes.length + 9) / 64);
+    const padded = new Uint8Array(blockCount * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, bytes.length * 8);
+
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    for (let block = 0; block < blockCount; block++) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(block * 64 + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+    return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+}
+
+// Host: a session for every human in a new round, as [{ clientId, token, tokenHash }]. Only clientId and
+// tokenHash go into gameState.sessions, the token goes to its player alone.
+export function issueSessions(playerIds) {
+    return playerIds.map((clientId) => {
+        const token = createResumeToken();
+        return { clientId, token, tokenHash: hashResumeToken(token) };
+    });
+}
+
+// Host, once a second during a round: reserves the slots of players who have left the room and frees
+// those whose grace window ran out. A freed hider no longer survives. lastPositions: clientId -> the last
+// position seen in their presence. Returns { changed, expired } with the client ids that timed out.
+export function updateReservations(gameState, peers, lastPositions, now = Date.now()) {
+    let changed = false;
+
+    for (const session of gameState.sessions) {
+        if (peers[session.clientId]) continue;
+        if (gameState.reservedSlots.some(slot => slot.tokenHash === session.tokenHash)) continue;
+        gameState.reservedSlots.push({
+            tokenHash: session.tokenHash,
+            clientId: session.clientId,
+            position: lastPositions[session.clientId] || null,
+            expiresAt: now + RESUME_GRACE_SECONDS * 1000
+        });
+        changed = true;
+    }
+
+    const expired = gameState.reservedSlots.filter(slot => slot.expiresAt <= now).map(slot => slot.clientId);
+    if (expired.length > 0) {
+        gameState.reservedSlots = gameState.reservedSlots.filter(slot => slot.expiresAt > now);
+        gameState.sessions = gameState.sessions.filter(session => !expired.includes(session.clientId));
+        gameState.survivors = gameState.survivors.filter(id => !expired.includes(id));
+        changed = true;
+    }
+
+    return { changed, expired };
+}
+
+// Host: moves the slot whose token hashes to tokenHash over to newClientId, wherever the old one got to
+// (reserved, or not yet noticed as gone). Returns { oldClientId, position } or null when there's nothing
+// to resume.
+export function resumeSession(gameState, tokenHash, newClientId) {
+    const session = gameState.sessions.find(entry => entry.tokenHash === tokenHash);
+    if (!session || session.clientId === newClientId) return null;
+
+    const oldClientId = session.clientId;
+    const slot = gameState.reservedSlots.find(entry => entry.tokenHash === tokenHash);
+    const swap = (ids) => ids.map(id => (id === oldClientId ? newClientId : id));
+    gameState.hiders = swap(gameState.hiders);
+    gameState.seekers = swap(gameState.seekers);
+    gameState.survivors = swap(gameState.survivors);
+    session.clientId = newClientId;
+    gameState.reservedSlots = gameState.reservedSlots.filter(entry => entry.tokenHash !== tokenHash);
+
+    return { oldClientId, position: slot ? slot.position : null };
+}
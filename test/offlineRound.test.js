@@ -0,0 +1,150 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { GameManager } from '../gameManager.js';
+import { AISquad } from '../aiSquad.js';
+import { BotHiderTeam, isBotId } from '../botHider.js';
+import { NavigationGrid } from '../NavigationGrid.js';
+import { PathfindingClient } from '../pathfindingClient.js';
+import { LoopbackRoom } from '../roomTransport.js';
+
+// A whole round in a LoopbackRoom without a browser: GameManager as host with the real AISquad, bot hiders
+// and a generated NavigationGrid, the phase timers driven by mocked timers instead of the wall clock.
+
+const FRAME_SECONDS = 0.1;
+
+// Just enough DOM for GameManager's UI code and the name tags of the seekers and bots
+const element = () => ({
+    classList: { add() {}, remove() {}, toggle() {} },
+    style: {},
+    children: [],
+    appendChild() {},
+    removeChild() {},
+    addEventListener() {},
+    getContext: () => new Proxy({}, { get: () => () => ({ data: [] }), set: () => true })
+});
+globalThis.document = { getElementById: () => null, createElement: element };
+globalThis.window = {};
+const storage = new Map();
+globalThis.sessionStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+    removeItem: key => storage.delete(key)
+};
+
+function createWorld() {
+    const world = new CANNON.World();
+    world.addBody(new CANNON.Body({ mass: 0, position: new CANNON.Vec3(0, -0.5, 0), shape: new CANNON.Box(new CANNON.Vec3(30, 0.5, 30)) }));
+    world.addBody(new CANNON.Body({ mass: 0, position: new CANNON.Vec3(0, 1.5, 8), shape: new CANNON.Box(new CANNON.Vec3(6, 1.5, 0.5)) }));
+    return world;
+}
+
+function createEnvironment() {
+    const hidingSpots = [new THREE.Vector3(20, 0, 20), new THREE.Vector3(-20, 0, 20), new THREE.Vector3(20, 0, -20)];
+    return {
+        getHidingSpots: () => hidingSpots,
+        getChokepoints: () => [],
+        getRandomSpawnPoint: () => new THREE.Vector3(0, 0, 0),
+        getMapId: () => 'test',
+        getTerrainAreas: () => [],
+        setAtmosphere() {},
+        triggerBlackout() {}
+    };
+}
+
+function createPlayer() {
+    const position = { x: -5, y: 1, z: -5 };
+    return {
+        fear: 0,
+        isHiding: false,
+        getPosition: () => ({ ...position }),
+        setPosition: (next) => Object.assign(position, next),
+        unhide() {},
+        takeDamage() {}
+    };
+}
+
+// Small seeded generator, so the round plays out the same way every run
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 0x100000000;
+    };
+}
+
+test('an offline round with bot hiders runs from the lobby back to the lobby', async (t) => {
+    mock.method(Math, 'random', seededRandom(22));
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: 1700000000000 });
+    t.after(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    const world = createWorld();
+    const scene = new THREE.Scene();
+    const environment = createEnvironment();
+    const navGrid = new NavigationGrid(2, 30, 30, -30, -30, world);
+    navGrid.generateGrid([]);
+    const pathfinder = new PathfindingClient(navGrid); // No Worker in Node, searches run on the main thread
+    const aiSquad = new AISquad(scene, environment, null, world);
+    aiSquad.setNavigationGrid(navGrid, pathfinder);
+    const botHiders = new BotHiderTeam(scene, environment, world);
+    botHiders.setNavigationGrid(navGrid, pathfinder);
+
+    const room = new LoopbackRoom({ username: 'Solo' });
+    const gameManager = new GameManager(room, createPlayer(), aiSquad, environment, null, botHiders);
+    const phases = [];
+    room.subscribeRoomState((state) => {
+        const phase = state.gameState?.phase;
+        if (phase && phase !== phases[phases.length - 1]) phases.push(phase);
+    });
+    const aiStates = [];
+    gameManager.onMessage((data) => {
+        if (data.type === 'aiState') aiStates.push(data);
+    });
+
+    // Room packets are delivered on microtasks, which the mocked timers don't hold back
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const runUntil = async (done, maxSeconds) => {
+        for (let elapsed = 0; elapsed < maxSeconds; elapsed += FRAME_SECONDS) {
+            mock.timers.tick(FRAME_SECONDS * 1000);
+            pathfinder.update();
+            gameManager.update(FRAME_SECONDS);
+            await flush();
+            if (done()) return;
+        }
+        assert.fail(`Still in '${gameManager.gameState.phase}' after ${maxSeconds}s`);
+    };
+
+    await gameManager.joinGame();
+    await flush();
+    assert.equal(gameManager.isHost, true);
+    assert.equal(gameManager.gameState.phase, 'lobby');
+    assert.equal(gameManager.gameState.botHiderFill, 0); // Offline rounds default to hiding from the AI alone
+
+    gameManager.setBotHiderFill(3);
+    await runUntil(() => gameManager.gameState.phase === 'hiding', 15);
+    const { hiders, seekers, bots } = gameManager.gameState;
+    assert.deepEqual(seekers, [room.clientId]); // With bots a lone player seeks
+    assert.equal(bots.length, 2);
+    assert.deepEqual([...hiders].sort(), bots.map(bot => bot.id).sort());
+    assert.ok(hiders.every(isBotId));
+
+    await runUntil(() => gameManager.gameState.phase === 'seeking', gameManager.gameState.hideTime + 2);
+    for (const bot of botHiders.bots) {
+        assert.equal(bot.isHiding, true, `${bot.id} should have reached a hiding spot`);
+    }
+    assert.ok(aiSquad.seekers.length > 0);
+
+    await runUntil(() => gameManager.gameState.phase === 'ended', gameManager.gameState.maxTime + 2);
+    const { winningTeam, survivors } = gameManager.gameState;
+    assert.ok(winningTeam === 'seekers' || winningTeam === 'hiders');
+    assert.equal(winningTeam === 'seekers', survivors.length === 0);
+    assert.ok(aiStates.length > 0, 'the host should have broadcast the AI state');
+
+    await runUntil(() => gameManager.gameState.phase === 'lobby', 20);
+    assert.deepEqual(phases, ['lobby', 'hiding', 'seeking', 'ended', 'lobby']);
+    assert.deepEqual(room.roomState.gameState.hiders, []);
+});
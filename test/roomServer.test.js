@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { startRoomServer } from '../server/roomServer.js';
+import { WebSocketRoom } from '../roomTransport.js';
+
+// WebSocketRoom against a real room server on a free port, the way a LAN session runs it
+
+globalThis.WebSocket ??= WebSocket; // Node 20 has no global WebSocket
+
+let server = null;
+const rooms = [];
+
+before(async () => {
+    server = await startRoomServer({ port: 0, host: '127.0.0.1', quiet: true });
+});
+
+after(async () => {
+    for (const room of rooms) room.close();
+    await server.close();
+});
+
+async function joinRoom(name, username) {
+    const room = new WebSocketRoom(`ws://127.0.0.1:${server.port}/${name}`, { username });
+    rooms.push(room);
+    room.messages = [];
+    room.onmessage = (event) => room.messages.push(event.data);
+    await room.initialize();
+    return room;
+}
+
+async function waitFor(check, description, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('clients joining a room see each other and their messages, sender included', async () => {
+    const host = await joinRoom('connect', 'Host');
+    const guest = await joinRoom('connect', 'Guest');
+
+    assert.ok(host.clientId && guest.clientId && host.clientId !== guest.clientId);
+    await waitFor(() => host.peers[guest.clientId], 'the host to see the guest');
+    assert.equal(host.peers[guest.clientId].username, 'Guest');
+    assert.deepEqual(Object.keys(guest.peers).sort(), [host.clientId, guest.clientId].sort());
+    await waitFor(() => host.messages.some(data => data.type === 'connected' && data.clientId === guest.clientId),
+        'the connected message');
+
+    guest.send({ type: 'chat', message: 'hello' });
+    for (const room of [host, guest]) {
+        await waitFor(() => room.messages.some(data => data.type === 'chat'), 'the chat message');
+        const chat = room.messages.find(data => data.type === 'chat');
+        assert.equal(chat.clientId, guest.clientId);
+        assert.equal(chat.username, 'Guest');
+    }
+});
+
+test('room state patches merge key by key and null deletes a key', async () => {
+    const host = await joinRoom('merge', 'Host');
+    const guest = await joinRoom('merge', 'Guest');
+
+    host.updateRoomState({ gameState: { phase: 'lobby', settings: { hideTime: 60 } }, stale: true });
+    await waitFor(() => guest.roomState.gameState?.phase === 'lobby', 'the first patch');
+    guest.updateRoomState({ gameState: { settings: { seekTime: 300 } }, stale: null });
+
+    const expected = { gameState: { phase: 'lobby', settings: { hideTime: 60, seekTime: 300 } } };
+    await waitFor(() => host.roomState.gameState?.settings?.seekTime === 300, 'the second patch');
+    assert.deepEqual(host.roomState, expected);
+    assert.deepEqual(guest.roomState, expected);
+
+    host.updatePresence({ role: 'seeker', position: { x: 1, y: 2, z: 3 } });
+    host.updatePresence({ position: { x: 4 } });
+    await waitFor(() => guest.presence[host.clientId]?.position?.x === 4, 'the presence patch');
+    assert.deepEqual(guest.presence[host.clientId], { role: 'seeker', position: { x: 4, y: 2, z: 3 } });
+});
+
+test('presence update requests only reach the client they are for', async () => {
+    const host = await joinRoom('requests', 'Host');
+    const first = await joinRoom('requests', 'First');
+    const second = await joinRoom('requests', 'Second');
+    const received = { first: [], second: [] };
+    first.subscribePresenceUpdateRequests((request, from) => received.first.push({ request, from }));
+    second.subscribePresenceUpdateRequests((request, from) => received.second.push({ request, from }));
+
+    host.requestPresenceUpdate(first.clientId, { type: 'resumeToken', token: 'secret' });
+    host.send({ type: 'chat', message: 'sent after the request' });
+    await waitFor(() => second.messages.some(data => data.type === 'chat'), 'the chat message');
+    await waitFor(() => received.first.length === 1, 'the request');
+
+    assert.deepEqual(received.first[0], { request: { type: 'resumeToken', token: 'secret' }, from: host.clientId });
+    assert.equal(received.second.length, 0);
+});
+
+test('a dropped client is removed from the room and reconnects under a new id', async () => {
+    const host = await joinRoom('reconnect', 'Host');
+    const guest = await joinRoom('reconnect', 'Guest');
+    host.updateRoomState({ gameState: { phase: 'seeking' } });
+    guest.updatePresence({ role: 'hider' });
+    await waitFor(() => host.presence[guest.clientId]?.role === 'hider', 'the guest presence');
+
+    const statuses = [];
+    guest.subscribeConnection(status => statuses.push(status));
+    const oldClientId = guest.clientId;
+    guest.socket.close(); // Not guest.close(), which would stop it reconnecting
+
+    await waitFor(() => !host.peers[oldClientId], 'the host to drop the guest');
+    assert.equal(host.presence[oldClientId], undefined);
+    await waitFor(() => host.messages.some(data => data.type === 'disconnected' && data.clientId === oldClientId),
+        'the disconnected message');
+
+    await waitFor(() => statuses.includes('connected'), 'the guest to reconnect');
+    assert.deepEqual(statuses, ['reconnecting', 'connected']);
+    assert.notEqual(guest.clientId, oldClientId);
+    assert.deepEqual(guest.roomState, { gameState: { phase: 'seeking' } });
+    await waitFor(() => host.peers[guest.clientId], 'the host to see the reconnected guest');
+    assert.equal(host.peers[guest.clientId].username, 'Guest');
+});
+
+test('the room is dropped once its last client leaves', async () => {
+    const only = await joinRoom('empty', 'Only');
+    only.updateRoomState({ leftover: true });
+    await waitFor(() => server.rooms.get('empty')?.roomState.leftover, 'the patch to reach the server');
+
+    only.close();
+    await waitFor(() => !server.rooms.has('empty'), 'the room to close');
+
+    const next = await joinRoom('empty', 'Next');
+    assert.deepEqual(next.roomState, {});
+});